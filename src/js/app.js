@@ -1,14 +1,67 @@
 import '../styles.css';
 import {
-    DEBUG_ENABLED,
-    LOCATION_CHECK_INTERVAL_MS,
-    ARTICLE_SWITCH_THRESHOLD_METERS,
     DOUBLE_TAP_THRESHOLD_MS,
+    LONG_PRESS_MS,
+    STOP_SAME_SPOT_METERS,
+    STOP_LINKED_TITLE_METERS,
+    DEFAULT_LANGUAGE,
+    DEFAULT_HEARD_POLICY,
+    DEFAULT_ORDERING_MODE,
+    ROUTE_DEVIATION_THRESHOLD_METERS,
+    ROUTE_ARRIVAL_LEAD_METERS,
+    ROUTE_PASSED_TOLERANCE_METERS,
+    SWITCH_CONFIRM_FIXES,
+    GEOFENCE_REFRESH_DISTANCE_METERS,
+    SUPPORTED_LANGUAGES,
     TourPlayer,
-    fetchNearbyArticles as fetchNearbyArticlesApi,
-    fetchArticleImages as fetchArticleImagesApi,
-    fetchArticleSnippet as fetchArticleSnippetApi,
+    createTextEngine,
+    findNearbyPlaces,
+    fetchPlaceImages,
+    fetchPlaceSnippet,
+    placeUrl,
+    getContentProviders,
+    getEnabledProviders,
+    setEnabledProviders,
+    rankByHistory,
+    classifyArticles,
+    getThemeSettings,
+    setThemeSettings,
+    filterByThemes,
+    rankByThemes,
+    getVoiceSettings,
+    setVoiceSettings,
+    hasHeard,
+    onHistoryChange,
+    getPreference,
+    setPreference,
+    getSetting,
+    onSettingsChange,
+    onApiCacheEvent,
+    clearApiCache,
     calculateDistance,
+    projectOntoPolyline,
+    planRoute,
+    routeLength,
+    groupIntoStops,
+    assignTriggerRadii,
+    checkGeofences,
+    polylineLength,
+    fetchArticlesAlongRoute,
+    beginRecording,
+    recordFix,
+    recordNarration,
+    flushRecording,
+    createGeolocationSource,
+    updateHeadingFromPosition,
+    filterPosition,
+    resetPositionFilter,
+    updateTravelMode,
+    getTravelMode,
+    resetTravelMode,
+    onTravelModeChange,
+    travelSearchRadius,
+    travelSwitchThreshold,
+    startCompassTracking,
     calculateBearing,
     bearingToCompassDirection,
     formatDistance,
@@ -16,54 +69,126 @@ import {
 } from './index.js';
 
 import { onStateChange, onTrackChange, onError } from './player/playerCallbacks.js';
+import { initTourPackView } from './ui/tourPackView.js';
+import { initHistoryView } from './ui/historyView.js';
+import { createRadarView } from './ui/radarView.js';
+import { initRouteImportView } from './ui/routeImportView.js';
+import { initExportView } from './ui/exportView.js';
+import { initLocationSimulatorView } from './ui/locationSimulatorView.js';
+import { initThemeView } from './ui/themeView.js';
+import { initVoiceView } from './ui/voiceView.js';
+import { initSettingsView } from './ui/settingsView.js';
+import { initProviderView } from './ui/providerView.js';
+import { initCaptionsView } from './ui/captionsView.js';
 
 // =============================================================================
 // Application State
 // =============================================================================
 let currentPosition = null;
-let locationWatchId = null;
+let locationSource = createGeolocationSource(); // Real GPS unless the debug panel or URL picks a simulated source
+let isTrackingLocation = false;
 let lastLocationCheck = null;
 let nearbyArticles = [];
 let currentArticle = null;
+let lastSearchRadius = 0; // Radius the places in the queue were searched for with
+let routeStart = null; // Where the walking route was planned from; null when ordering nearest-first
+let plannedRoute = null; // Imported GPX/GeoJSON route being followed, with its line and corridor
+let routeProgressIndex = 0; // First place on the imported route that hasn't been narrated yet
+let geofenceSearchPosition = null; // Where the places for the geofence tour were looked up from
+let geofenceVisited = new Set(); // Keys of places read or walked past on the geofence tour
+let passedPlaces = []; // Places walked past without being read, to mention once the player is free
+let switchCandidate = null; // Nearer place than the one playing, and how many fixes running it has been nearer
+let themeSettings = getThemeSettings();
+// Lookups for rendering the card; responses are cached persistently underneath by the providers
 const imageCache = new Map();
 const snippetCache = new Map();
 const tourPlayer = new TourPlayer();
+let radar = null;
+let captionsView = null;
+let routeImportView = null;
 
 // DOM elements
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const refreshBtn = document.getElementById('refreshBtn');
+const moreBtn = document.getElementById('moreBtn');
 const statusDiv = document.getElementById('status');
 const locationInfo = document.getElementById('locationInfo');
+const travelModeDiv = document.getElementById('travelMode');
 const loadingDiv = document.getElementById('loading');
 const prevBtn = document.getElementById('prevBtn');
 const playPauseBtn = document.getElementById('playPauseBtn');
 const nextBtn = document.getElementById('nextBtn');
+const skipBackBtn = document.getElementById('skipBackBtn');
+const skipForwardBtn = document.getElementById('skipForwardBtn');
 const currentArticleDiv = document.getElementById('currentArticle');
 const currentTitleLink = document.getElementById('currentTitle');
 const currentDistanceDiv = document.getElementById('currentDistance');
+const currentSectionDiv = document.getElementById('currentSection');
 const currentImageContainer = document.getElementById('currentImage');
 const currentSnippetDiv = document.getElementById('currentSnippet');
+const alsoHereDiv = document.getElementById('alsoHere');
 const emptyStateDiv = document.getElementById('emptyState');
 const debugPanel = document.getElementById('debugPanel');
 const debugLog = document.getElementById('debugLog');
+const debugCacheStats = document.getElementById('debugCacheStats');
+const languageSelect = document.getElementById('languageSelect');
+const orderingModeSelect = document.getElementById('orderingModeSelect');
+const readFullArticleToggle = document.getElementById('readFullArticleToggle');
+const factIntroToggle = document.getElementById('factIntroToggle');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
+const radarContainer = document.getElementById('radarView');
 
 const { logDebug, attachGlobalHandlers } = createDebugLogger(debugPanel, debugLog);
 
 // =============================================================================
 // Player Callbacks
 // =============================================================================
-tourPlayer.onStateChange = onStateChange;
-tourPlayer.onTrackChange = onTrackChange;
+tourPlayer.onStateChange = (state) => {
+    onStateChange(state);
+    updateRadar();
+
+    // When a place on an imported route finishes, the next one may already have been reached
+    if (plannedRoute && !state.playing) {
+        setTimeout(() => {
+            if (plannedRoute && currentPosition) followPlannedRoute(currentPosition);
+        }, getSetting('articlePauseMs'));
+    } else if (isGeofenceMode() && !state.playing) {
+        setTimeout(() => {
+            if (isGeofenceMode() && currentPosition) followGeofences(currentPosition);
+        }, getSetting('articlePauseMs'));
+    }
+};
+tourPlayer.onTrackChange = (article, index, total) => {
+    if (plannedRoute) {
+        routeProgressIndex = Math.max(routeProgressIndex, index + 1);
+    }
+    onTrackChange(article, index, total);
+    renderCurrentSection(null);
+    if (moreBtn) moreBtn.classList.remove('hidden');
+};
+tourPlayer.onSectionChange = (article, section) => renderCurrentSection(section);
+tourPlayer.onNarrationStart = recordNarration;
 tourPlayer.onError = onError;
+tourPlayer.heardPolicy = getPreference('heardPolicy', DEFAULT_HEARD_POLICY);
+tourPlayer.readFullArticle = getPreference('readFullArticle', false);
+tourPlayer.factIntro = getPreference('factIntro', true);
+tourPlayer.setVoiceSettings(getVoiceSettings());
 
 // =============================================================================
 // Initialization
 // =============================================================================
 function init() {
     startBtn.addEventListener('click', startTour);
-    stopBtn.addEventListener('click', () => tourPlayer.stop());
+    stopBtn.addEventListener('click', () => {
+        tourPlayer.stop();
+        flushRecording();
+    });
     refreshBtn.addEventListener('click', refreshNearbyPlaces);
+    if (moreBtn) {
+        moreBtn.addEventListener('click', () => tourPlayer.tellMeMore());
+        preventDoubleTapZoom(moreBtn, DOUBLE_TAP_THRESHOLD_MS);
+    }
 
     if (prevBtn && playPauseBtn && nextBtn) {
         prevBtn.disabled = true;
@@ -71,8 +196,10 @@ function init() {
         prevBtn.addEventListener('click', () => tourPlayer.previous());
         nextBtn.addEventListener('click', () => tourPlayer.next());
         playPauseBtn.addEventListener('click', () => {
-            if (tourPlayer.getIsPlaying()) {
-                tourPlayer.stop();
+            if (tourPlayer.isBusy()) {
+                tourPlayer.pause();
+            } else if (tourPlayer.isPaused) {
+                tourPlayer.resume();
             } else if (nearbyArticles.length > 0) {
                 tourPlayer.play();
             } else {
@@ -85,6 +212,98 @@ function init() {
         preventDoubleTapZoom(nextBtn, DOUBLE_TAP_THRESHOLD_MS);
     }
 
+    if (skipBackBtn && skipForwardBtn) {
+        skipBackBtn.disabled = true;
+        skipForwardBtn.disabled = true;
+        addPressHandlers(skipBackBtn, {
+            onPress: () => tourPlayer.skipSentence(-1),
+            onLongPress: () => tourPlayer.skipParagraph(-1),
+            holdMs: LONG_PRESS_MS
+        });
+        addPressHandlers(skipForwardBtn, {
+            onPress: () => tourPlayer.skipSentence(1),
+            onLongPress: () => tourPlayer.skipParagraph(1),
+            holdMs: LONG_PRESS_MS
+        });
+        preventDoubleTapZoom(skipBackBtn, DOUBLE_TAP_THRESHOLD_MS);
+        preventDoubleTapZoom(skipForwardBtn, DOUBLE_TAP_THRESHOLD_MS);
+    }
+
+    captionsView = initCaptionsView({
+        open: getPreference('captions', false),
+        onToggle: (open) => setPreference('captions', open),
+        onSelectSentence: (index) => tourPlayer.jumpToSentence(index)
+    });
+    if (captionsView) {
+        tourPlayer.onCaptions = captionsView.setSentences;
+        tourPlayer.onSpeechProgress = captionsView.setProgress;
+    }
+    if (new URLSearchParams(window.location.search).get('speech') === 'text') useTextNarration();
+    updateCaptionsMode();
+
+    initLanguageSelect();
+    initOrderingModeSelect();
+    initPlayerToggle(readFullArticleToggle, 'readFullArticle');
+    initPlayerToggle(factIntroToggle, 'factIntro');
+    initApiCacheControls();
+    initProviderView({
+        providers: getContentProviders(),
+        enabled: getEnabledProviders(),
+        onChange: (ids) => {
+            setEnabledProviders(ids);
+            logDebug(`Places from ${ids.join(', ')}`);
+            refreshNearbyPlaces();
+        }
+    });
+    initThemeView({
+        settings: themeSettings,
+        onChange: (settings) => {
+            themeSettings = settings;
+            setThemeSettings(settings);
+            logDebug(`Themes: favour ${settings.favour.join(', ') || 'none'}, leave out ${settings.exclude.join(', ') || 'none'}`);
+            refreshNearbyPlaces();
+        }
+    });
+    const voiceView = initVoiceView({
+        settings: tourPlayer.voiceSettings,
+        voices: tourPlayer.voices,
+        onChange: (settings) => {
+            tourPlayer.setVoiceSettings(settings);
+            setVoiceSettings(settings);
+            logDebug(`Voice: ${settings.voiceURI || 'automatic'}, speed ${settings.rate}, pitch ${settings.pitch}`);
+        },
+        onPreview: (text, settings) => tourPlayer.previewVoice(text, settings)
+    });
+    if (voiceView) tourPlayer.onVoicesChanged = voiceView.setVoices;
+    initHistoryView({
+        heardPolicy: getPreference('heardPolicy', DEFAULT_HEARD_POLICY),
+        onPolicyChange: (policy) => {
+            setPreference('heardPolicy', policy);
+            tourPlayer.heardPolicy = policy;
+        },
+        onReplay: replayArticle
+    });
+
+    if (radarContainer) {
+        radar = createRadarView(radarContainer, {
+            onSelect: (article) => {
+                const index = nearbyArticles.findIndex((item) => item.key === article.key);
+                if (index >= 0) tourPlayer.playTrack(index);
+            }
+        });
+        onHistoryChange(updateRadar);
+    }
+    routeImportView = initRouteImportView({
+        onRouteSelected: loadPlannedRoute,
+        onRouteCleared: clearPlannedRoute
+    });
+    initExportView();
+    initTourPackView({
+        getCurrentPosition: () => currentPosition,
+        getLanguage,
+        logDebug
+    });
+
     preventDoubleTapZoom(startBtn, DOUBLE_TAP_THRESHOLD_MS);
     preventDoubleTapZoom(stopBtn, DOUBLE_TAP_THRESHOLD_MS);
     preventDoubleTapZoom(refreshBtn, DOUBLE_TAP_THRESHOLD_MS);
@@ -92,20 +311,157 @@ function init() {
     window.addEventListener('beforeunload', () => {
         tourPlayer.stop();
     });
+    // Mobile browsers may discard a hidden page without unloading it, so don't wait for pagehide alone
+    window.addEventListener('pagehide', flushRecording);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) flushRecording();
+    });
 
-    // Hide debug panel if DEBUG_ENABLED is false
-    if (!DEBUG_ENABLED && debugPanel) {
-        debugPanel.style.display = 'none';
-    }
+    initLocationSimulatorView({ onSourceChange: setLocationSource, logDebug });
+
+    initSettingsView();
+    onSettingsChange(handleSettingChange);
+    onTravelModeChange(handleTravelModeChange);
+    updateDebugPanelVisibility();
 
     attachGlobalHandlers();
 }
 
+// Settings are read where they're used, so only the ones that change what's queued or shown need acting on
+function handleSettingChange(key, value) {
+    logDebug(`Setting ${key} changed to ${value}`);
+    if (key === 'debugEnabled') {
+        updateDebugPanelVisibility();
+    } else if (['searchRadiusMeters', 'searchLimit', 'tourLength'].includes(key) && nearbyArticles.length) {
+        refreshNearbyPlaces();
+    }
+}
+
+// Faster travel means shorter narration and a wider search, so look again if the last search was too narrow.
+// A paused or stopped tour is left alone, since searching again starts the narration.
+function handleTravelModeChange(mode, previous, speed) {
+    logDebug(`Travel mode changed from ${previous.id} to ${mode.id} at ${speed.toFixed(1)} m/s`);
+    tourPlayer.narration = mode.narration;
+    renderTravelMode();
+
+    const widened = travelSearchRadius(getSetting('searchRadiusMeters')) > lastSearchRadius;
+    const idle = !tourPlayer.isBusy() && !tourPlayer.isPaused && !tourPlayer.manuallyStopped;
+    if (widened && idle && nearbyArticles.length && !plannedRoute) {
+        refreshNearbyPlaces();
+    }
+}
+
+function renderTravelMode() {
+    if (!travelModeDiv) return;
+    const { icon, label } = getTravelMode();
+    travelModeDiv.textContent = `${icon} ${label}`;
+    travelModeDiv.classList.remove('hidden');
+}
+
+// The debug panel also shows when the URL asks for a simulated location, since its controls live there
+function updateDebugPanelVisibility() {
+    if (!debugPanel) return;
+    const params = new URLSearchParams(window.location.search);
+    debugPanel.style.display = getSetting('debugEnabled') || params.has('location') ? '' : 'none';
+}
+
+function initLanguageSelect() {
+    if (!languageSelect) return;
+
+    SUPPORTED_LANGUAGES.forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        languageSelect.appendChild(option);
+    });
+
+    languageSelect.value = getLanguage();
+    languageSelect.addEventListener('change', () => {
+        setPreference('language', languageSelect.value);
+        logDebug(`Language changed to ${languageSelect.value}`);
+        refreshNearbyPlaces();
+    });
+}
+
+function initApiCacheControls() {
+    onApiCacheEvent(({ type, url, stats }) => {
+        logDebug(`Cache ${type}: ${describeApiUrl(url)}`);
+        if (debugCacheStats) {
+            debugCacheStats.textContent = `Cache: ${stats.hits} hits · ${stats.misses} misses · ` +
+                `${stats.deduped} shared · ${stats.stale} stale`;
+        }
+    });
+
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', async () => {
+            try {
+                await clearApiCache();
+                showStatus('Cached Wikipedia data cleared', 'success');
+            } catch (error) {
+                showStatus(`Could not clear cache: ${error.message}`, 'error');
+            }
+        });
+    }
+}
+
+// Short label for an API url in the debug log, e.g. "fr extracts 12345"
+function describeApiUrl(url) {
+    const { hostname, pathname, searchParams } = new URL(url);
+    const request = searchParams.get('list') || searchParams.get('prop') || searchParams.get('action') ||
+        pathname.split('/').pop();
+    const target = searchParams.get('pageids') || searchParams.get('titles') || searchParams.get('gscoord') || '';
+    return `${hostname.split('.').slice(0, 2).join(' ')} ${request} ${target}`.trim();
+}
+
+function initOrderingModeSelect() {
+    if (!orderingModeSelect) return;
+
+    orderingModeSelect.value = getOrderingMode();
+    orderingModeSelect.addEventListener('change', () => {
+        setPreference('orderingMode', orderingModeSelect.value);
+        logDebug(`Tour order changed to ${orderingModeSelect.value}`);
+        if (plannedRoute) return;
+        tourPlayer.waitForArrival = isGeofenceMode();
+        if (nearbyArticles.length) {
+            nearbyArticles = orderQueue(nearbyArticles);
+            tourPlayer.updateQueue(nearbyArticles);
+            updateRadar();
+            if (isGeofenceMode()) startGeofenceTour();
+        }
+    });
+}
+
+// A checkbox for one of the player's on/off options, saved under the option's own name
+function initPlayerToggle(toggle, option) {
+    if (!toggle) return;
+
+    toggle.checked = tourPlayer[option];
+    toggle.addEventListener('change', () => {
+        tourPlayer[option] = toggle.checked;
+        setPreference(option, toggle.checked);
+    });
+}
+
+function getOrderingMode() {
+    const saved = getPreference('orderingMode', DEFAULT_ORDERING_MODE);
+    return ['route', 'geofence'].includes(saved) ? saved : 'nearest';
+}
+
+// An imported route decides when places are read, whatever the tour order
+function isGeofenceMode() {
+    return getOrderingMode() === 'geofence' && !plannedRoute;
+}
+
+function getLanguage() {
+    const saved = getPreference('language', DEFAULT_LANGUAGE);
+    return SUPPORTED_LANGUAGES.some(({ code }) => code === saved) ? saved : DEFAULT_LANGUAGE;
+}
+
 // =============================================================================
 // Utility Functions
 // =============================================================================
 
-import { preventDoubleTapZoom, showStatus } from './utils/appUtils.js';
+import { preventDoubleTapZoom, addPressHandlers, showStatus } from './utils/appUtils.js';
 
 // =============================================================================
 // Location & Tour Management
@@ -132,9 +488,9 @@ function unlockSpeechAndAudio() {
             }
         }
         // Unlock speechSynthesis with a dummy utterance
-        if (window.speechSynthesis && !didUnlockSpeech) {
+        if (tourPlayer.engine.name === 'webSpeech' && !didUnlockSpeech) {
             try {
-                const utter = new window.SpeechSynthesisUtterance(' ');
+                const utter = tourPlayer.engine.createUtterance(' ');
                 utter.volume = 0;
                 utter.rate = 1;
                 utter.onend = () => {
@@ -150,7 +506,7 @@ function unlockSpeechAndAudio() {
                     didUnlockSpeech = true;
                     resolve();
                 };
-                window.speechSynthesis.speak(utter);
+                tourPlayer.engine.speak(utter);
                 logDebug('Dummy speech utterance spoken (unlock)');
             } catch (e) {
                 logDebug('Speech unlock error: ' + e);
@@ -163,52 +519,122 @@ function unlockSpeechAndAudio() {
     });
 }
 
+// Narrate in the captions instead of aloud. Used when the device has no voices, or when the URL has ?speech=text
+function useTextNarration({ untilVoicesArrive = false } = {}) {
+    const voiceEngine = tourPlayer.engine;
+    if (voiceEngine.name === 'text') return;
+
+    tourPlayer.setSpeechEngine(createTextEngine());
+    updateCaptionsMode();
+    if (!untilVoicesArrive) return;
+
+    voiceEngine.onVoicesChanged(() => {
+        if (voiceEngine.getVoices().length === 0 || tourPlayer.engine.name !== 'text' || tourPlayer.isBusy()) return;
+        logDebug('Speech voices are available now, reading aloud again');
+        tourPlayer.setSpeechEngine(voiceEngine);
+        updateCaptionsMode();
+    });
+}
+
+// With the text engine the captions are the only narration there is
+function updateCaptionsMode() {
+    if (captionsView) captionsView.setTextOnly(tourPlayer.engine.name === 'text');
+}
+
 async function startTour() {
+    // Ask for the compass while we still have the tap; iOS refuses once we've awaited anything
+    startCompassTracking();
     await unlockSpeechAndAudio();
-    // Check if voices are loaded (for Chrome Android)
-    const voices = window.speechSynthesis ? window.speechSynthesis.getVoices() : [];
-    if (!voices || voices.length === 0) {
-        showStatus('Speech system not ready. On Chrome/Android, make sure sound permissions are enabled for this site. Try tapping Start again or reload the page.', 'error');
-        startBtn.disabled = false;
-        return;
+    // Chrome on Android can have no voices until sound is allowed for the site; show the narration as text meanwhile
+    if (tourPlayer.engine.needsVoices && tourPlayer.engine.getVoices().length === 0) {
+        logDebug('No speech voices available, showing the narration as text');
+        useTextNarration({ untilVoicesArrive: true });
     }
 
-    if (!navigator.geolocation) {
+    if (locationSource.name === 'gps' && !navigator.geolocation) {
         showStatus('Geolocation is not supported by your browser', 'error');
         return;
     }
 
     showStatus('Getting your location...', 'info');
     startBtn.disabled = true;
+    beginRecording();
 
-    locationWatchId = navigator.geolocation.watchPosition(
-        onLocationSuccess,
-        onLocationError,
-        { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
-    );
+    if (!isTrackingLocation) {
+        isTrackingLocation = true;
+        locationSource.start(onLocationSuccess, onLocationError);
+    }
 }
 
-function onLocationSuccess(position) {
-    const now = Date.now();
-    const { latitude, longitude } = position.coords;
+// Swap between real GPS and the simulated sources; a running tour carries on from the new source
+function setLocationSource(source) {
+    const wasTracking = isTrackingLocation;
+    if (wasTracking) locationSource.stop();
+
+    locationSource = source;
+    // Replayed fixes run on their own clock, so don't compare against the previous source's times
+    lastLocationCheck = null;
+    resetPositionFilter();
+    resetTravelMode();
+    tourPlayer.narration = getTravelMode().narration;
+    logDebug(`Location source: ${source.name}`);
+
+    if (wasTracking) source.start(onLocationSuccess, onLocationError);
+}
+
+function onLocationSuccess(fix) {
+    // Recordings keep the raw fixes, so a replayed recording is only smoothed once
+    recordFix(fix);
+    const position = filterPosition(fix);
+    if (!position) {
+        logDebug(`Ignoring a fix only accurate to ${Math.round(fix.coords.accuracy)} m`);
+        return;
+    }
+
+    // Use the fix's own time so accelerated replays check for new places at the accelerated rate
+    const now = position.timestamp || Date.now();
+    const { latitude, longitude, accuracy } = position.coords;
 
     currentPosition = position;
     window.currentPosition = position;
+    updateHeadingFromPosition(position);
+    updateTravelMode(position);
 
-    locationInfo.textContent = `📍 Your location: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+    locationInfo.textContent = `📍 Your location: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} ` +
+        `(±${Math.round(accuracy)} m)`;
     locationInfo.classList.remove('hidden');
+    renderTravelMode();
+    updateRadar();
 
-    if (!lastLocationCheck || (now - lastLocationCheck) > LOCATION_CHECK_INTERVAL_MS) {
+    if (plannedRoute) {
+        startBtn.disabled = false;
+        refreshBtn.classList.remove('hidden');
+        followPlannedRoute(position);
+        return;
+    }
+
+    if (!lastLocationCheck || (now - lastLocationCheck) > getSetting('locationCheckIntervalMs')) {
         lastLocationCheck = now;
 
         if (!nearbyArticles.length) {
             showStatus('Location found! Searching for nearby places...', 'success');
             refreshBtn.classList.remove('hidden');
             fetchNearbyArticles(latitude, longitude);
+        } else if (isGeofenceMode() && !tourPlayer.isBusy() && geofenceSearchPosition &&
+            calculateDistance(latitude, longitude, geofenceSearchPosition.lat, geofenceSearchPosition.lon) >
+                GEOFENCE_REFRESH_DISTANCE_METERS) {
+            logDebug('Walked away from the places found, looking for new ones');
+            fetchNearbyArticles(latitude, longitude);
         } else {
-            updateDistancesAndCheckSwitch(latitude, longitude);
+            updateDistancesAndOrder(latitude, longitude);
         }
     }
+
+    if (isGeofenceMode() && nearbyArticles.length) {
+        followGeofences(position);
+    } else if (nearbyArticles.length) {
+        checkForNearerPlace(latitude, longitude);
+    }
 }
 
 function onLocationError(error) {
@@ -229,19 +655,23 @@ function onLocationError(error) {
     showStatus(message, 'error');
     startBtn.disabled = false;
 
-    if (locationWatchId) {
-        navigator.geolocation.clearWatch(locationWatchId);
-        locationWatchId = null;
+    if (isTrackingLocation) {
+        locationSource.stop();
+        isTrackingLocation = false;
     }
 }
 
 function refreshNearbyPlaces() {
+    if (plannedRoute) {
+        loadPlannedRoute(plannedRoute);
+        return;
+    }
+
     if (currentPosition) {
         const { latitude, longitude } = currentPosition.coords;
         nearbyArticles = [];
         currentArticle = null;
-        imageCache.clear();
-        snippetCache.clear();
+        updateRadar();
         if (currentArticleDiv) currentArticleDiv.classList.add('hidden');
         if (emptyStateDiv) emptyStateDiv.classList.add('hidden');
         tourPlayer.loadQueue([]);
@@ -250,21 +680,44 @@ function refreshNearbyPlaces() {
     }
 }
 
-function updateDistancesAndCheckSwitch(lat, lon) {
-    if (!nearbyArticles.length) {
-        logDebug('No nearby articles, not switching.');
-        return;
+// Play a place from the history, adding it to the queue if it isn't nearby
+function replayArticle(entry) {
+    let index = nearbyArticles.findIndex((article) => article.key === entry.key);
+
+    if (index < 0) {
+        const { key, provider, pageid, lang, title, lat, lon } = entry;
+        const article = { key, provider, pageid, lang, title, lat, lon };
+        if (currentPosition) {
+            const { latitude, longitude } = currentPosition.coords;
+            article.currentDist = calculateDistance(latitude, longitude, entry.lat, entry.lon);
+        }
+        index = Math.min(tourPlayer.currentIndex, nearbyArticles.length);
+        nearbyArticles = [...nearbyArticles.slice(0, index), article, ...nearbyArticles.slice(index)];
+        tourPlayer.updateQueue(nearbyArticles);
+        fetchArticleSnippet(article);
+        fetchAndCacheImages([article]);
     }
 
+    if (emptyStateDiv) emptyStateDiv.classList.add('hidden');
+    if (currentArticleDiv) currentArticleDiv.classList.remove('hidden');
+    tourPlayer.playTrack(index);
+}
+
+function updateDistancesAndOrder(lat, lon) {
     nearbyArticles.forEach((article) => {
         article.currentDist = calculateDistance(lat, lon, article.lat, article.lon);
     });
 
-    nearbyArticles.sort((a, b) => a.currentDist - b.currentDist);
+    if (!routeStart) {
+        nearbyArticles = orderQueue(nearbyArticles);
+    } else if (hasLeftRoute(lat, lon)) {
+        logDebug('Left the planned route, re-planning from here');
+        replanRoute(lat, lon);
+    }
 
     if (currentArticle) {
         const currentIndex = nearbyArticles.findIndex(
-            (article) => article.pageid === currentArticle.pageid
+            (article) => article.key === currentArticle.key
         );
         if (currentIndex >= 0) {
             renderCurrentArticle(currentArticle, currentIndex, nearbyArticles.length);
@@ -272,59 +725,306 @@ function updateDistancesAndCheckSwitch(lat, lon) {
     }
 
     tourPlayer.updateQueue(nearbyArticles);
+}
+
+// Switch to the place at the front of the queue once it has been clearly nearer than the one playing
+// for several fixes running, so one stray fix can't cut a narration off mid-sentence
+function checkForNearerPlace(lat, lon) {
+    // On a planned route the order is already decided, so don't jump to whatever is nearest
+    if (routeStart || !tourPlayer.autoPlayEnabled || !tourPlayer.getIsPlaying()) {
+        switchCandidate = null;
+        return;
+    }
 
-    if (tourPlayer.autoPlayEnabled && tourPlayer.getIsPlaying()) {
-        const playingArticle = tourPlayer.getCurrentArticle();
-        const nearestArticle = nearbyArticles[0];
-
-        logDebug('Checking for article switch:', {
-            playingArticle: playingArticle ? playingArticle.title : null,
-            nearestArticle: nearestArticle ? nearestArticle.title : null,
-            playingPageId: playingArticle ? playingArticle.pageid : null,
-            nearestPageId: nearestArticle ? nearestArticle.pageid : null,
-            playingDist: playingArticle ? playingArticle.currentDist : null,
-            nearestDist: nearestArticle ? nearestArticle.currentDist : null,
-            threshold: ARTICLE_SWITCH_THRESHOLD_METERS
+    nearbyArticles.forEach((article) => {
+        article.currentDist = calculateDistance(lat, lon, article.lat, article.lon);
+    });
+
+    const playingArticle = tourPlayer.getCurrentArticle();
+    const threshold = travelSwitchThreshold(getSetting('articleSwitchThresholdMeters'));
+    const nearestIndex = nearbyArticles.findIndex((article) => !tourPlayer.shouldSkip(article));
+    const nearestArticle = nearbyArticles[nearestIndex];
+
+    if (!playingArticle || !nearestArticle || playingArticle.key === nearestArticle.key ||
+        nearestArticle.currentDist >= playingArticle.currentDist - threshold) {
+        switchCandidate = null;
+        return;
+    }
+
+    switchCandidate = switchCandidate && switchCandidate.key === nearestArticle.key ?
+        { key: nearestArticle.key, count: switchCandidate.count + 1 } :
+        { key: nearestArticle.key, count: 1 };
+    logDebug('Checking for article switch:', {
+        playingArticle: playingArticle.title,
+        nearestArticle: nearestArticle.title,
+        playingDist: playingArticle.currentDist,
+        nearestDist: nearestArticle.currentDist,
+        threshold,
+        fixes: switchCandidate.count
+    });
+    if (switchCandidate.count < SWITCH_CONFIRM_FIXES) return;
+
+    switchCandidate = null;
+    logDebug(`Switching to nearer place: ${nearestArticle.title}`);
+    showStatus(`Switching to nearer place: ${nearestArticle.title}`, 'info');
+    tourPlayer.playTrack(nearestIndex);
+}
+
+// Nearest first with favoured themes ahead, then places heard in earlier sessions moved back according
+// to the history policy. In route mode the places are put in walking order from where the user is now instead.
+function orderQueue(articles) {
+    const byDistance = [...articles].sort((a, b) => a.currentDist - b.currentDist);
+
+    if (getOrderingMode() !== 'route' || !currentPosition) {
+        routeStart = null;
+        return rankByHistory(rankByThemes(byDistance, themeSettings), tourPlayer.heardPolicy);
+    }
+
+    const { latitude, longitude } = currentPosition.coords;
+    return routeThrough({ lat: latitude, lon: longitude }, byDistance);
+}
+
+function routeThrough(start, articles) {
+    // Places heard before aren't worth walking to, so they stay at the back in distance order
+    const deferred = articles.filter(isLeftOffRoute);
+    const toVisit = articles.filter((article) => !deferred.includes(article));
+
+    routeStart = start;
+    const route = planRoute(start, toVisit);
+    logDebug(`Planned a route of ${formatDistance(routeLength(start, route))} through ${route.length} places`);
+    return [...route, ...deferred];
+}
+
+function isLeftOffRoute(article) {
+    return tourPlayer.heardPolicy !== 'off' && hasHeard(article.key);
+}
+
+// ", 1.2 kilometers to walk" after the places found, when they're in walking order
+function routeWalkSummary() {
+    if (!routeStart) return '';
+    const route = nearbyArticles.filter((article) => !isLeftOffRoute(article));
+    return `, ${formatDistance(routeLength(routeStart, route))} to walk`;
+}
+
+// The rest of the route: from the previous stop (or the start) through every stop still to come
+function remainingRoute() {
+    const index = tourPlayer.currentIndex;
+    return index > 0 ? nearbyArticles.slice(index - 1) : [routeStart, ...nearbyArticles];
+}
+
+function hasLeftRoute(lat, lon) {
+    const projection = projectOntoPolyline(lat, lon, remainingRoute());
+    return projection !== null && projection.distance > ROUTE_DEVIATION_THRESHOLD_METERS;
+}
+
+// Keep the places already visited and plan a fresh route through the rest
+function replanRoute(lat, lon) {
+    const visited = nearbyArticles.slice(0, tourPlayer.currentIndex + 1);
+    const remaining = nearbyArticles.slice(tourPlayer.currentIndex + 1);
+    nearbyArticles = [...visited, ...routeThrough({ lat, lon }, remaining)];
+}
+
+// =============================================================================
+// Imported Routes
+// =============================================================================
+async function loadPlannedRoute({ line, name, corridor }) {
+    tourPlayer.stop();
+    loadingDiv.classList.remove('hidden');
+    showStatus(`Finding places along ${name}...`, 'info');
+
+    try {
+        const found = await fetchArticlesAlongRoute(line, {
+            corridor,
+            lang: getLanguage(),
+            onProgress: ({ done, total }) => logDebug(`Route search ${done}/${total}`)
         });
+        await classifyArticles(found);
+        const kept = filterByThemes(found, themeSettings);
+        logDebug(`Left out ${found.length - kept.length} places along the route by theme`);
+        const articles = groupIntoStopsNearby(kept);
 
-        if (playingArticle && nearestArticle &&
-            playingArticle.pageid !== nearestArticle.pageid &&
-            nearestArticle.currentDist < playingArticle.currentDist - ARTICLE_SWITCH_THRESHOLD_METERS) {
+        plannedRoute = { line, name, corridor, length: polylineLength(line), finished: false };
+        routeProgressIndex = 0;
+        routeStart = null;
+        nearbyArticles = articles.map((article) => ({
+            ...article,
+            dist: null, // Geosearch distance is from a point on the route, not from the walker
+            currentDist: currentPosition ?
+                calculateDistance(currentPosition.coords.latitude, currentPosition.coords.longitude, article.lat, article.lon) :
+                null
+        }));
 
-            logDebug(`Switching to nearer place: ${nearestArticle.title}`);
-            showStatus(`Switching to nearer place: ${nearestArticle.title}`, 'info');
-            tourPlayer.playTrack(0);
+        tourPlayer.waitForArrival = true;
+        tourPlayer.loadQueue(nearbyArticles);
+        if (routeImportView) {
+            routeImportView.showSummary({ name, length: plannedRoute.length, placeCount: nearbyArticles.length });
         }
+
+        showStatus(`Found ${nearbyArticles.length} places along ${name}. Each is read as you reach it.`, 'success');
+        displayArticles(nearbyArticles);
+        updateRadar();
+        await fetchAndCacheImages(nearbyArticles);
+
+        if (currentPosition) followPlannedRoute(currentPosition);
+    } catch (error) {
+        showStatus(`Error finding places along the route: ${error.message}`, 'error');
+    } finally {
+        loadingDiv.classList.add('hidden');
     }
 }
 
+function clearPlannedRoute() {
+    plannedRoute = null;
+    routeProgressIndex = 0;
+    tourPlayer.waitForArrival = isGeofenceMode();
+    if (routeImportView) routeImportView.showSummary(null);
+    showStatus('Route cleared. Back to touring nearby places.', 'info');
+
+    nearbyArticles = [];
+    tourPlayer.loadQueue([]);
+    if (currentPosition) {
+        refreshNearbyPlaces();
+    } else {
+        displayArticles([]);
+        updateRadar();
+    }
+}
+
+// Narrate the next place on the route once the walker reaches its part of the line
+function followPlannedRoute(position) {
+    const { latitude, longitude } = position.coords;
+
+    nearbyArticles.forEach((article) => {
+        article.currentDist = calculateDistance(latitude, longitude, article.lat, article.lon);
+    });
+    if (currentArticle) {
+        const index = nearbyArticles.findIndex((article) => article.key === currentArticle.key);
+        if (index >= 0) renderCurrentArticle(currentArticle, index, nearbyArticles.length);
+    }
+
+    const projection = projectOntoPolyline(latitude, longitude, plannedRoute.line);
+    if (projection.distance > plannedRoute.corridor + ROUTE_DEVIATION_THRESHOLD_METERS) {
+        logDebug(`Off the imported route by ${Math.round(projection.distance)} m`);
+        return;
+    }
+
+    if (tourPlayer.isBusy() || tourPlayer.manuallyStopped) return;
+
+    for (let i = routeProgressIndex; i < nearbyArticles.length; i++) {
+        const article = nearbyArticles[i];
+        if (tourPlayer.shouldSkip(article)) continue;
+        if (article.alongTrack - ROUTE_ARRIVAL_LEAD_METERS > projection.alongTrack) return;
+        if (projection.alongTrack - article.alongTrack <= ROUTE_PASSED_TOLERANCE_METERS) {
+            logDebug(`Reached ${article.title} on the route`);
+            tourPlayer.playTrack(i);
+            return;
+        }
+        logDebug(`Already well past ${article.title}, skipping it`);
+        routeProgressIndex = i + 1;
+    }
+
+    if (routeProgressIndex >= nearbyArticles.length && !plannedRoute.finished) {
+        plannedRoute.finished = true;
+        showStatus(`You've reached the end of ${plannedRoute.name}.`, 'success');
+    }
+}
+
+// Give each place its trigger radius, then read whichever one the walker is already inside
+async function startGeofenceTour() {
+    tourPlayer.waitForArrival = true;
+    await assignTriggerRadii(nearbyArticles);
+    logDebug('Trigger radii: ' + nearbyArticles.map((article) => `${article.title} ${article.triggerRadius} m`).join(', '));
+    if (isGeofenceMode() && currentPosition) followGeofences(currentPosition);
+}
+
+// Read a place once the walker steps inside its trigger radius, and briefly mention the ones walked past
+function followGeofences(position) {
+    const { latitude, longitude } = position.coords;
+
+    nearbyArticles.forEach((article) => {
+        article.currentDist = calculateDistance(latitude, longitude, article.lat, article.lon);
+    });
+
+    const { arrived, passed } = checkGeofences(nearbyArticles, {
+        visited: geofenceVisited,
+        skip: (article) => tourPlayer.shouldSkip(article)
+    });
+    passed.forEach((article) => {
+        logDebug(`Walked past ${article.title} without hearing it`);
+        geofenceVisited.add(article.key);
+        passedPlaces.push(article);
+    });
+
+    if (tourPlayer.isBusy() || tourPlayer.isPaused || tourPlayer.manuallyStopped) return;
+
+    if (arrived) {
+        logDebug(`Inside the ${arrived.triggerRadius} m radius of ${arrived.title}`);
+        geofenceVisited.add(arrived.key);
+        // The place just reached matters more than the ones left behind
+        passedPlaces = [];
+        tourPlayer.playTrack(nearbyArticles.indexOf(arrived));
+    } else if (passedPlaces.length) {
+        tourPlayer.announce(`You just passed ${joinTitles(passedPlaces.map((article) => article.title))}.`);
+        passedPlaces = [];
+    }
+}
+
+function joinTitles(titles) {
+    return titles.length > 1 ? `${titles.slice(0, -1).join(', ')} and ${titles[titles.length - 1]}` : titles[0];
+}
+
 // =============================================================================
 // Wikipedia API Functions
 // =============================================================================
 async function fetchNearbyArticles(lat, lon) {
     loadingDiv.classList.remove('hidden');
+    const radius = travelSearchRadius(getSetting('searchRadiusMeters'));
 
     try {
-        const results = await fetchNearbyArticlesApi(lat, lon);
+        const results = await findNearbyPlaces(lat, lon, {
+            lang: getLanguage(),
+            // Ask for at least a full queue, so theme filtering has something to choose from
+            limit: Math.max(getSetting('searchLimit'), getSetting('tourLength')),
+            radius
+        });
+        lastSearchRadius = radius;
+        await classifyArticles(results);
         loadingDiv.classList.add('hidden');
 
-        if (results.length > 0) {
-            nearbyArticles = results.map((article) => ({
-                ...article,
-                currentDist: calculateDistance(lat, lon, article.lat, article.lon)
-            }));
+        const chosen = chooseTourPlaces(results.map((article) => ({
+            ...article,
+            currentDist: calculateDistance(lat, lon, article.lat, article.lon)
+        })));
+        const chosenCount = chosen.reduce((count, stop) => count + 1 + (stop.alsoHere || []).length, 0);
+        logDebug(`Left out ${results.length - chosenCount} of ${results.length} places found, ` +
+            `${chosenCount} grouped into ${chosen.length} stops`);
 
-            nearbyArticles.sort((a, b) => a.currentDist - b.currentDist);
+        if (chosen.length > 0) {
+            nearbyArticles = orderQueue(chosen);
+            tourPlayer.waitForArrival = isGeofenceMode();
+            if (isGeofenceMode()) geofenceSearchPosition = { lat, lon };
 
-            showStatus(`Found ${nearbyArticles.length} places nearby`, 'success');
+            showStatus(`Found ${nearbyArticles.length} places nearby${routeWalkSummary()}` +
+                (isGeofenceMode() ? '. Each is read as you reach it.' : ''), 'success');
             displayArticles(nearbyArticles);
+            updateRadar();
 
-            await fetchAndCacheImages(nearbyArticles.map((article) => article.pageid));
+            await fetchAndCacheImages(nearbyArticles);
 
             tourPlayer.loadQueue(nearbyArticles);
-            setTimeout(() => {
-                tourPlayer.play();
-            }, 1000);
+            if (nearbyArticles.every((article) => tourPlayer.shouldSkip(article))) {
+                showStatus(`You've already heard all ${nearbyArticles.length} places nearby`, 'info');
+            } else if (isGeofenceMode()) {
+                await startGeofenceTour();
+            } else {
+                setTimeout(() => {
+                    tourPlayer.play();
+                }, 1000);
+            }
+        } else if (results.length > 0) {
+            showStatus('Everything nearby is a kind of place you\'ve chosen to leave out. Try changing the themes in Settings.', 'info');
+            if (currentArticleDiv) currentArticleDiv.classList.add('hidden');
+            if (emptyStateDiv) emptyStateDiv.classList.remove('hidden');
         } else {
             showStatus('No places found nearby. Try moving to a different location.', 'info');
             if (currentArticleDiv) currentArticleDiv.classList.add('hidden');
@@ -334,18 +1034,36 @@ async function fetchNearbyArticles(lat, lon) {
         startBtn.disabled = false;
     } catch (error) {
         loadingDiv.classList.add('hidden');
-        showStatus(`Error fetching nearby places: ${error.message}`, 'error');
+        const offlineHint = navigator.onLine === false ?
+            '. Download an offline tour pack for this area before your next walk' : '';
+        showStatus(`Error fetching nearby places: ${error.message}${offlineHint}`, 'error');
         startBtn.disabled = false;
     }
 }
 
-async function fetchAndCacheImages(pageids) {
+// Leave out excluded themes, group places at the same spot into stops, then keep the nearest
+// favoured stops topped up with the nearest of the rest
+function chooseTourPlaces(articles) {
+    const byDistance = filterByThemes(articles, themeSettings).sort((a, b) => a.currentDist - b.currentDist);
+    return rankByThemes(groupIntoStopsNearby(byDistance), themeSettings).slice(0, getSetting('tourLength'));
+}
+
+function groupIntoStopsNearby(articles) {
+    return groupIntoStops(articles, {
+        sameSpotMeters: STOP_SAME_SPOT_METERS,
+        linkedTitleMeters: STOP_LINKED_TITLE_METERS
+    });
+}
+
+async function fetchAndCacheImages(articles) {
     try {
-        const imageMap = await fetchArticleImagesApi(pageids);
-        imageMap.forEach((url, pageid) => {
-            imageCache.set(pageid, url);
-            if (currentArticle && currentArticle.pageid === pageid) {
-                updateCurrentImageForArticle(pageid);
+        const imageMap = await fetchPlaceImages(articles);
+        articles.forEach((article) => {
+            const url = imageMap.get(article.key);
+            if (!url) return;
+            imageCache.set(article.key, url);
+            if (currentArticle && currentArticle.key === article.key) {
+                updateCurrentImageForArticle(article);
             }
         });
     } catch (error) {
@@ -353,12 +1071,12 @@ async function fetchAndCacheImages(pageids) {
     }
 }
 
-async function fetchArticleSnippet(pageid) {
+async function fetchArticleSnippet(article) {
     try {
-        const extract = await fetchArticleSnippetApi(pageid);
+        const extract = await fetchPlaceSnippet(article);
         if (extract) {
-            snippetCache.set(pageid, extract);
-            if (currentArticle && currentArticle.pageid === pageid && currentSnippetDiv) {
+            snippetCache.set(article.key, extract);
+            if (currentArticle && currentArticle.key === article.key && currentSnippetDiv) {
                 currentSnippetDiv.textContent = extract;
             }
         }
@@ -387,7 +1105,7 @@ function displayArticles(articles) {
     renderCurrentArticle(articles[0], 0, articles.length);
 
     articles.forEach((article) => {
-        fetchArticleSnippet(article.pageid);
+        fetchArticleSnippet(article);
     });
 }
 
@@ -398,22 +1116,32 @@ export function renderCurrentArticle(article, index, total) {
 
     if (currentTitleLink) {
         currentTitleLink.textContent = article.title;
-        currentTitleLink.href = `https://en.wikipedia.org/?curid=${article.pageid}`;
+        currentTitleLink.href = placeUrl(article);
+        currentTitleLink.hreflang = article.lang;
     }
 
     if (currentDistanceDiv) {
         const distance = article.currentDist ? `${Math.round(article.currentDist)} meters away` :
                          article.dist ? `${Math.round(article.dist)} meters away` :
                          'Distance unknown';
-        currentDistanceDiv.textContent = `📏 ${distance} (${index + 1}/${total})`;
+        currentDistanceDiv.textContent = `📏 ${distance} · stop ${index + 1} of ${total}`;
     }
 
     if (currentSnippetDiv) {
-        const cachedSnippet = snippetCache.get(article.pageid);
+        const cachedSnippet = snippetCache.get(article.key);
         currentSnippetDiv.textContent = cachedSnippet || 'Loading description...';
+        currentSnippetDiv.lang = article.lang;
+    }
+
+    // Follow-ups at a stop aren't in the queue, so their details are fetched when they're shown
+    if (article.stopKey) {
+        if (!snippetCache.has(article.key)) fetchArticleSnippet(article);
+        if (!imageCache.has(article.key)) fetchAndCacheImages([article]);
     }
 
-    updateCurrentImageForArticle(article.pageid);
+    renderAlsoHere(article);
+    updateCurrentImageForArticle(article);
+    updateRadar();
 
     if (prevBtn && nextBtn) {
         prevBtn.disabled = index <= 0;
@@ -421,11 +1149,77 @@ export function renderCurrentArticle(article, index, total) {
     }
 }
 
-function updateCurrentImageForArticle(pageid) {
+// The other places at the current stop, each a button that reads it next
+function renderAlsoHere(article) {
+    if (!alsoHereDiv) return;
+
+    const stop = article.stopKey ? nearbyArticles.find((item) => item.key === article.stopKey) : article;
+    const others = stop ? [stop, ...(stop.alsoHere || [])].filter((place) => place.key !== article.key) : [];
+
+    alsoHereDiv.innerHTML = '';
+    alsoHereDiv.classList.toggle('hidden', others.length === 0);
+    if (others.length === 0) return;
+
+    const label = document.createElement('span');
+    label.className = 'also-here-label';
+    label.textContent = 'Also here:';
+    alsoHereDiv.appendChild(label);
+
+    others.forEach((place) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'also-here-item';
+        button.textContent = place.title;
+        button.lang = place.lang;
+        // The primary place is in the queue; the others are played as follow-ups to it
+        button.addEventListener('click', () => {
+            const index = nearbyArticles.findIndex((item) => item.key === place.key);
+            if (index >= 0) {
+                tourPlayer.playTrack(index);
+            } else {
+                tourPlayer.playFollowUp(place);
+            }
+        });
+        alsoHereDiv.appendChild(button);
+    });
+}
+
+// Which part of the article is being read; hidden while the introduction plays
+function renderCurrentSection(section) {
+    if (!currentSectionDiv) return;
+
+    currentSectionDiv.classList.toggle('hidden', !section);
+    currentSectionDiv.textContent = section ?
+        `📖 ${section.title} (section ${section.index} of ${section.total})` : '';
+}
+
+function updateRadar() {
+    if (!radar) return;
+
+    radar.render({
+        position: currentPosition,
+        articles: nearbyArticles,
+        currentKey: currentArticle ? currentArticle.key : null,
+        isPlaying: tourPlayer.getIsPlaying(),
+        isHeard: (article) => hasHeard(article.key),
+        route: plannedRoute ? remainingPlannedRoute() :
+               routeStart ? nearbyArticles.slice(tourPlayer.currentIndex) : null
+    });
+}
+
+// The imported line from the walker's position onwards
+function remainingPlannedRoute() {
+    if (!currentPosition) return plannedRoute.line;
+    const { latitude, longitude } = currentPosition.coords;
+    const projection = projectOntoPolyline(latitude, longitude, plannedRoute.line);
+    return plannedRoute.line.slice(projection.segmentIndex + 1);
+}
+
+function updateCurrentImageForArticle(article) {
     if (!currentImageContainer) return;
 
     currentImageContainer.innerHTML = '';
-    const imageUrl = imageCache.get(pageid);
+    const imageUrl = imageCache.get(article.key);
     if (!imageUrl) return;
 
     const img = document.createElement('img');
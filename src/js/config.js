@@ -1,14 +1,119 @@
-// Debug settings
-export const DEBUG_ENABLED = false; // Set to true to show debug panel
+// Defaults for the settings users can change at runtime (see services/settingsStore.js). Editing these only
+// changes what someone starts with: settings they've saved, and URL parameters, take precedence.
+export const DEFAULT_DEBUG_ENABLED = false; // Debug panel hidden until turned on in Settings or with ?debug=1
+export const DEFAULT_SEARCH_RADIUS_METERS = 10000; // Look for places up to 10km away, the geosearch maximum
+export const MAX_SEARCH_RADIUS_METERS = 10000; // Geosearch won't look further than this, however fast you're going
+export const DEFAULT_NEARBY_CANDIDATE_LIMIT = 30; // Places fetched before theme filtering, so excluded ones don't leave the queue short
+export const DEFAULT_NEARBY_ARTICLE_LIMIT = 10; // Places queued for a tour
+export const DEFAULT_LOCATION_CHECK_INTERVAL_MS = 30000; // 30 seconds between location checks
+export const DEFAULT_ARTICLE_SWITCH_THRESHOLD_METERS = 100; // Switch to a place once it's 100m nearer than the one playing
+export const DEFAULT_ARTICLE_PAUSE_MS = 2000; // 2 second pause between articles
 
 // Location and tour settings
-export const LOCATION_CHECK_INTERVAL_MS = 30000; // 30 seconds between location checks
-export const ARTICLE_SWITCH_THRESHOLD_METERS = 100; // Switch to nearer article if 100m closer
-export const ARTICLE_PAUSE_MS = 2000; // 2 second pause between articles
+export const DEFAULT_ORDERING_MODE = 'nearest'; // 'nearest' first, 'route' for a planned walking order, or 'geofence' to read each place on arrival
+export const ROUTE_DEVIATION_THRESHOLD_METERS = 150; // Re-plan the walking route when this far off it
+export const SWITCH_CONFIRM_FIXES = 3; // A nearer place must stay nearer for this many fixes running before switching to it
+
+// GPS filtering settings
+export const GPS_MAX_ACCURACY_METERS = 50; // Fixes less accurate than this are ignored while there's a recent better one
+export const GPS_POOR_FIX_GRACE_MS = 60000; // After this long without a good fix, poor ones are used rather than none
+export const GPS_PROCESS_NOISE_MPS = 3; // How fast the filter assumes you might be moving when the fix has no speed
+export const GPS_JUMP_RESET_METERS = 500; // A fix this far from the smoothed position starts the filter afresh
+
+// Imported route settings
+export const ROUTE_CORRIDOR_OPTIONS_METERS = [50, 100, 150, 250]; // Distances either side of an imported route
+export const DEFAULT_ROUTE_CORRIDOR_METERS = 150; // Default corridor either side of an imported route
+export const ROUTE_SEARCH_LIMIT = 50; // Places requested per geosearch along an imported route
+export const ROUTE_ARRIVAL_LEAD_METERS = 30; // Start narrating a place this far before reaching it
+export const ROUTE_PASSED_TOLERANCE_METERS = 150; // Places further behind than this are skipped
+export const STOP_SAME_SPOT_METERS = 25; // Places this close together are read as one stop
+export const STOP_LINKED_TITLE_METERS = 150; // Places this close whose titles contain each other are one stop too
 export const DOUBLE_TAP_THRESHOLD_MS = 500; // Double-tap detection window in milliseconds
+export const LONG_PRESS_MS = 600; // Holding a skip button this long skips a paragraph instead of a sentence
+
+// Geofence settings, for the tour order that reads each place as you reach it
+export const GEOFENCE_MIN_RADIUS_METERS = 30; // Trigger radius for the least notable places
+export const GEOFENCE_MAX_RADIUS_METERS = 120; // Trigger radius for the most notable places
+export const GEOFENCE_DEFAULT_IMPORTANCE = 0.5; // Used for places whose source can't say how notable they are
+export const GEOFENCE_PASSED_FACTOR = 2; // Coming within this many trigger radii and then leaving counts as passing
+export const GEOFENCE_LEAVING_METERS = 25; // How much further away than its closest point before a place is behind you
+export const GEOFENCE_REFRESH_DISTANCE_METERS = 500; // Look for new places after walking this far from the last search
+
+// Travel mode settings, checked slowest first: the first mode whose top speed isn't exceeded is used
+export const TRAVEL_MODES = [
+    { id: 'stationary', label: 'Standing still', icon: '🧍', maxSpeed: 0.4, radiusFactor: 1, switchFactor: 1, narration: 'intro' },
+    { id: 'walking', label: 'Walking', icon: '🚶', maxSpeed: 2.5, radiusFactor: 1, switchFactor: 1, narration: 'intro' },
+    { id: 'cycling', label: 'Cycling', icon: '🚲', maxSpeed: 7, radiusFactor: 2, switchFactor: 3, narration: 'intro' },
+    { id: 'driving', label: 'Driving', icon: '🚗', maxSpeed: Infinity, radiusFactor: 4, switchFactor: 10, narration: 'snippet' }
+]; // Speeds in m/s; the factors scale the search radius and switch threshold, narration is 'intro' or a short 'snippet'
+export const DEFAULT_TRAVEL_MODE = 'walking'; // Assumed until there are enough fixes to tell
+export const TRAVEL_MODE_WINDOW_MS = 60000; // Speeds from the last minute of fixes are considered
+export const TRAVEL_MODE_MIN_FIXES = 3; // Fixes needed in the window before guessing a mode
+export const TRAVEL_MODE_CONFIRM_FIXES = 3; // A new mode must be seen this many fixes running before switching to it
 
 // Speech synthesis settings
 export const SPEECH_CANCEL_DELAY_MS = 200; // Delay after cancel before new speech
 export const SPEECH_RESUME_CHECK_DELAY_MS = 100; // Delay before checking if resume needed
 export const SPEECH_MONITOR_INTERVAL_MS = 2000; // How often to check speech status
 export const SPEECH_CHUNK_MAX_CHARS = 1200; // Split long speech into smaller chunks
+export const SPEECH_TEXT_RULES = [
+    'citations', 'coordinates', 'parentheticals', 'scripts', 'dates', 'abbreviations', 'units'
+]; // Clean-ups applied to text before it is spoken, in order (see utils/speechText.js)
+export const SPEECH_MAX_ASIDE_WORDS = 12; // Bracketed asides longer than this are left out of narration
+export const DEFAULT_SPEECH_RATE = 0.9; // Slightly slower than normal, easier to follow while walking
+export const DEFAULT_SPEECH_PITCH = 1; // Voice's own pitch
+export const SPEECH_RATE_RANGE = [0.5, 2]; // Slowest and fastest speeds offered in Settings
+export const SPEECH_PITCH_RANGE = [0.5, 1.5]; // Lowest and highest pitch offered in Settings
+export const FACT_INTRO_TIMEOUT_MS = 3000; // Start the article without its Wikidata facts if they take longer than this
+export const SPEECH_WORDS_PER_MINUTE = 150; // Typical pace at rate 1, used to spot stalled speech
+export const CAPTIONS_SCROLL_PAUSE_MS = 5000; // Captions stop following the speech for this long after you scroll them
+
+// Language settings
+export const DEFAULT_LANGUAGE = 'en'; // Wikipedia edition used until the user picks one
+export const FALLBACK_LANGUAGE = 'en'; // Edition used for places with no article in the chosen language
+export const SUPPORTED_LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'fr', name: 'Français' },
+    { code: 'de', name: 'Deutsch' },
+    { code: 'ja', name: '日本語' },
+    { code: 'es', name: 'Español' },
+    { code: 'it', name: 'Italiano' },
+    { code: 'nl', name: 'Nederlands' },
+    { code: 'pt', name: 'Português' }
+];
+
+// Network and offline settings
+export const NETWORK_TIMEOUT_MS = 10000; // Give up on a Wikipedia request after 10 seconds
+export const API_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Keep cached Wikipedia responses for a week
+export const GEOSEARCH_COORD_DECIMALS = 4; // Search from a point rounded to about 10m, so nearby searches share a cache entry
+export const TOUR_PACK_MAX_ARTICLES = 200; // Most places stored in one offline tour pack
+export const TOUR_PACK_RADIUS_OPTIONS_METERS = [500, 1000, 2000, 5000]; // Area sizes offered for tour packs
+
+// Listening history settings
+export const HISTORY_MAX_ENTRIES = 500; // Oldest heard places are forgotten beyond this
+export const DEFAULT_HEARD_POLICY = 'downrank'; // 'off', 'downrank' (play heard places last) or 'skip'
+
+// Tour recording settings
+export const RECORDING_MIN_DISTANCE_METERS = 5; // Ignore fixes closer than this to the last recorded point
+export const RECORDING_MAX_POINTS = 5000; // Thin out the recorded track beyond this many points
+export const RECORDING_NEW_SESSION_GAP_MS = 6 * 60 * 60 * 1000; // Start a new recording after 6 hours idle
+export const RECORDING_SAVE_EVERY_POINTS = 20; // Save the track once this many new points are waiting
+export const RECORDING_SAVE_INTERVAL_MS = 15000; // Or this long after the first of them, whichever is sooner
+
+// Simulated location settings
+export const REPLAY_WALKING_SPEED_MPS = 1.4; // Pace used to replay tracks that have no timestamps
+export const REPLAY_SPEED_OPTIONS = [1, 2, 5, 10, 30]; // Playback multipliers offered in the debug panel
+
+// Walking heading settings
+export const HEADING_MIN_DISTANCE_METERS = 10; // Move at least this far before working out a heading from positions
+export const HEADING_MAX_AGE_MS = 60000; // Stop trusting a heading after a minute without a new one
+
+// Content provider settings
+export const DEFAULT_CONTENT_PROVIDERS = ['wikipedia']; // Also 'wikivoyage' for the sights listed in travel guides
+export const DUPLICATE_PLACE_DISTANCE_METERS = 100; // Same-named places from two providers this close are one place
+export const WIKIVOYAGE_PAGE_LIMIT = 5; // Nearby Wikivoyage guides read for listings
+export const WIKIVOYAGE_PAGE_RADIUS_METERS = 10000; // Guides are found by their town centre, so search wide
+
+// Theme settings
+export const DEFAULT_FAVOURED_THEMES = []; // Any of 'history', 'architecture', 'nature', 'art' to play first
+export const DEFAULT_EXCLUDED_THEMES = ['transport', 'administrative']; // Stations, streets, wards and companies
@@ -3,17 +3,67 @@
 export const startBtn = document.getElementById('startBtn');
 export const stopBtn = document.getElementById('stopBtn');
 export const refreshBtn = document.getElementById('refreshBtn');
+export const moreBtn = document.getElementById('moreBtn');
 export const statusDiv = document.getElementById('status');
 export const locationInfo = document.getElementById('locationInfo');
+export const travelModeDiv = document.getElementById('travelMode');
 export const loadingDiv = document.getElementById('loading');
 export const prevBtn = document.getElementById('prevBtn');
 export const playPauseBtn = document.getElementById('playPauseBtn');
 export const nextBtn = document.getElementById('nextBtn');
+export const skipBackBtn = document.getElementById('skipBackBtn');
+export const skipForwardBtn = document.getElementById('skipForwardBtn');
 export const currentArticleDiv = document.getElementById('currentArticle');
 export const currentTitleLink = document.getElementById('currentTitle');
 export const currentDistanceDiv = document.getElementById('currentDistance');
+export const currentSectionDiv = document.getElementById('currentSection');
 export const currentImageContainer = document.getElementById('currentImage');
+export const alsoHereDiv = document.getElementById('alsoHere');
+export const captionsPanel = document.getElementById('captionsPanel');
+export const captionsNote = document.getElementById('captionsNote');
+export const captionsText = document.getElementById('captionsText');
 export const currentSnippetDiv = document.getElementById('currentSnippet');
+export const radarContainer = document.getElementById('radarView');
 export const emptyStateDiv = document.getElementById('emptyState');
 export const debugPanel = document.getElementById('debugPanel');
 export const debugLog = document.getElementById('debugLog');
+export const debugCacheStats = document.getElementById('debugCacheStats');
+export const locationSourceSelect = document.getElementById('locationSourceSelect');
+export const replayFileInput = document.getElementById('replayFileInput');
+export const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+export const teleportInput = document.getElementById('teleportInput');
+export const teleportBtn = document.getElementById('teleportBtn');
+export const languageSelect = document.getElementById('languageSelect');
+export const orderingModeSelect = document.getElementById('orderingModeSelect');
+export const readFullArticleToggle = document.getElementById('readFullArticleToggle');
+export const factIntroToggle = document.getElementById('factIntroToggle');
+export const clearCacheBtn = document.getElementById('clearCacheBtn');
+export const contentProvidersFieldset = document.getElementById('contentProviders');
+export const favouredThemesFieldset = document.getElementById('favouredThemes');
+export const excludedThemesFieldset = document.getElementById('excludedThemes');
+export const tourPackCenterInput = document.getElementById('tourPackCenter');
+export const tourPackUseLocationBtn = document.getElementById('tourPackUseLocation');
+export const tourPackRadiusSelect = document.getElementById('tourPackRadius');
+export const tourPackDownloadBtn = document.getElementById('tourPackDownload');
+export const tourPackProgress = document.getElementById('tourPackProgress');
+export const tourPackList = document.getElementById('tourPackList');
+export const tourSettingsFields = document.getElementById('tourSettingsFields');
+export const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+export const voiceSelect = document.getElementById('voiceSelect');
+export const speechRateInput = document.getElementById('speechRateInput');
+export const speechRateValue = document.getElementById('speechRateValue');
+export const speechPitchInput = document.getElementById('speechPitchInput');
+export const speechPitchValue = document.getElementById('speechPitchValue');
+export const previewVoiceBtn = document.getElementById('previewVoiceBtn');
+export const heardPolicySelect = document.getElementById('heardPolicySelect');
+export const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+export const historyList = document.getElementById('historyList');
+export const routeFileInput = document.getElementById('routeFileInput');
+export const routeCorridorSelect = document.getElementById('routeCorridorSelect');
+export const clearRouteBtn = document.getElementById('clearRouteBtn');
+export const routeSummary = document.getElementById('routeSummary');
+export const exportSummary = document.getElementById('exportSummary');
+export const exportGpxBtn = document.getElementById('exportGpxBtn');
+export const exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn');
+export const exportKmlBtn = document.getElementById('exportKmlBtn');
+export const clearRecordingBtn = document.getElementById('clearRecordingBtn');
@@ -1,5 +1,23 @@
 export * from './config.js';
 export { default as TourPlayer } from './player/TourPlayer.js';
+export * from './player/speechEngines.js';
 export * from './services/wikiApi.js';
+export * from './services/contentProviders.js';
+export * from './services/preferences.js';
+export * from './services/settingsStore.js';
+export * from './services/apiCache.js';
+export * from './services/listeningHistory.js';
+export * from './services/themes.js';
+export * from './services/placeFacts.js';
+export * from './services/voiceSettings.js';
+export * from './services/routeSearch.js';
+export * from './services/geofence.js';
+export * from './services/tourRecorder.js';
+export * from './services/locationSource.js';
+export * from './services/headingTracker.js';
+export * from './services/positionFilter.js';
+export * from './services/travelMode.js';
 export * from './utils/geo.js';
+export * from './utils/route.js';
+export * from './utils/stops.js';
 export * from './utils/debug.js';
@@ -1,39 +1,75 @@
 import {
-    ARTICLE_PAUSE_MS,
     SPEECH_CANCEL_DELAY_MS,
     SPEECH_RESUME_CHECK_DELAY_MS,
     SPEECH_MONITOR_INTERVAL_MS,
-    SPEECH_CHUNK_MAX_CHARS
+    SPEECH_CHUNK_MAX_CHARS,
+    SPEECH_WORDS_PER_MINUTE,
+    DEFAULT_SPEECH_RATE,
+    DEFAULT_SPEECH_PITCH,
+    FALLBACK_LANGUAGE
 } from '../config.js';
-import { fetchArticleExtract } from '../services/wikiApi.js';
+import { fetchPlaceNarration, fetchPlaceSections, fetchPlaceSnippet } from '../services/contentProviders.js';
+import { fetchFactIntro } from '../services/placeFacts.js';
+import { prepareSpeechText } from '../utils/speechText.js';
+import { recordHeard, hasHeard } from '../services/listeningHistory.js';
+import { getSetting } from '../services/settingsStore.js';
+import { createDefaultSpeechEngine } from './speechEngines.js';
+
+// Speech errors that mean another app or a call took the audio, rather than the text failing
+const INTERRUPTION_ERRORS = ['interrupted', 'audio-busy'];
 
 // TourPlayer Class - Manages all playback logic
 class TourPlayer {
-        // Internal debug logger
+        // Internal debug logger, quiet unless debugging is turned on in Settings
         _logDebug(...args) {
-            // You can enhance this to use a custom logger or UI panel if desired
-            if (window && window.console) {
+            if (getSetting('debugEnabled')) {
                 console.debug('[TourPlayer]', ...args);
             }
         }
-    constructor() {
+    // `speechEngine` is one from speechEngines.js; by default the browser's, or on-screen text without one
+    constructor(options = {}) {
+        this.queue = [];
         this.currentIndex = 0;
+        this.playingArticle = null;
         this.isPlaying = false;
         this.autoPlayEnabled = true;
+        this.heardPolicy = 'off';
+        this.waitForArrival = false; // When set, the app decides when to start the next article
+        this.isLoading = false;
         this.manuallyStopped = false;
-        this.isFirefox = /firefox/i.test(navigator.userAgent);
+        this.nextTimeout = null;
+        // Reading beyond the lead: the article's sections once fetched, and which one is being read
+        this.readFullArticle = false;
+        this.factIntro = true; // Lead with a sentence of Wikidata facts where the place has them
+        this.narration = 'intro'; // Or a short 'snippet' when travelling too fast to hear the whole intro
+        this.continueArticle = false;
+        this.sections = null;
+        this.sectionIndex = 0;
+        // Pause keeps the chunks and where to pick up again; speech itself is cancelled, not paused,
+        // because browsers drop paused utterances on lock screens and calls anyway
+        this.isPaused = false;
+        this.pausedByInterruption = false;
+        this.resumePoint = null;
+        this.retriedCutOff = false; // Speech cut off on a visible page gets one retry before moving on
 
         // Speech synthesis
-        this.speechSynth = window.speechSynthesis;
+        this.engine = options.speechEngine || createDefaultSpeechEngine();
         this.currentUtterance = null;
         this.voices = [];
         this.voicesLoaded = false;
+        // Chosen in Settings; a voiceURI of null means pick one for each article's language
+        this.voiceSettings = { voiceURI: null, rate: DEFAULT_SPEECH_RATE, pitch: DEFAULT_SPEECH_PITCH };
         // Monitoring
         this.monitorInterval = null;
         this.speechStartTime = null;
         this.expectedDuration = null;
         this.speechChunks = [];
+        this.sentenceMarks = [];
+        this.speechLang = FALLBACK_LANGUAGE;
         this.chunkIndex = 0;
+        this.chunkStartTime = null;
+        this.spokenCharIndex = 0;
+        this.hasBoundaries = false; // Whether the chunk being spoken reports word boundaries; not every voice does
         this.lastChunkEndTime = null;
         this.isChunking = false;
         this.playbackId = 0;
@@ -46,6 +82,11 @@ class TourPlayer {
         // Callbacks
         this.onStateChange = null;
         this.onTrackChange = null;
+        this.onNarrationStart = null;
+        this.onSectionChange = null;
+        this.onCaptions = null;
+        this.onSpeechProgress = null;
+        this.onVoicesChanged = null;
         this.onError = null;
 
         // Initialize
@@ -106,21 +147,19 @@ class TourPlayer {
 
     // Initialize speech synthesis voices
     _initializeVoices() {
-        if (!this.speechSynth) return;
-
+        const engine = this.engine;
         const loadVoices = () => {
-            this.voices = this.speechSynth.getVoices();
+            if (engine !== this.engine) return;
+            this.voices = engine.getVoices();
             if (this.voices.length > 0) {
                 this.voicesLoaded = true;
                 console.log('TourPlayer: Voices loaded:', this.voices.length);
+                if (this.onVoicesChanged) this.onVoicesChanged(this.voices);
             }
         };
 
         loadVoices();
-
-        if (this.speechSynth.onvoiceschanged !== undefined) {
-            this.speechSynth.onvoiceschanged = loadVoices;
-        }
+        engine.onVoicesChanged(loadVoices);
 
         setTimeout(() => {
             if (!this.voicesLoaded) loadVoices();
@@ -134,7 +173,14 @@ class TourPlayer {
         navigator.mediaSession.setActionHandler('nexttrack', () => this.next());
         navigator.mediaSession.setActionHandler('previoustrack', () => this.previous());
         navigator.mediaSession.setActionHandler('play', () => this.play());
-        navigator.mediaSession.setActionHandler('pause', () => this.stop());
+        navigator.mediaSession.setActionHandler('pause', () => this.pause());
+        // Headphone seek buttons skip a paragraph; past the end they carry on into the next section
+        try {
+            navigator.mediaSession.setActionHandler('seekforward', () => this.skipParagraph(1));
+            navigator.mediaSession.setActionHandler('seekbackward', () => this.skipParagraph(-1));
+        } catch (error) {
+            // Not every browser supports seeking actions
+        }
     }
 
     // Setup visibility change handler
@@ -143,13 +189,17 @@ class TourPlayer {
             if (!document.hidden && this.isPlaying) {
                 this._checkSpeechStatus();
             }
+            // Pick up again after the lock screen or a call cut the narration off
+            if (!document.hidden && this.isPaused && this.pausedByInterruption) {
+                this.resume();
+            }
         });
     }
 
     // Load queue of articles
     loadQueue(articles) {
         this.queue = articles;
-        this.currentIndex = 0;
+        this.currentIndex = Math.max(0, this._findNextIndex(-1));
         console.log('TourPlayer: Queue loaded with', articles.length, 'items');
     }
 
@@ -165,9 +215,187 @@ class TourPlayer {
         }
 
         const article = this.queue[this.currentIndex];
+        if (this.isPaused && this.playingArticle && article.key === this.playingArticle.key) {
+            this.resume();
+            return;
+        }
         this._playArticle(article);
     }
 
+    // Stop speaking but remember the sentence we were on
+    pause() {
+        if (!this.isPlaying && !this.isLoading) return;
+        this._pauseAtCurrentSentence(false);
+    }
+
+    resume() {
+        if (!this.isPaused || !this.resumePoint) {
+            this.play();
+            return;
+        }
+
+        const { chunkIndex, charOffset } = this.resumePoint;
+        this._logDebug('Resuming at chunk', chunkIndex + 1, 'offset', charOffset);
+        this._speakFromPoint(chunkIndex, charOffset);
+    }
+
+    // Jump straight to a sentence of the lead or section being read, e.g. one tapped in the captions
+    jumpToSentence(index) {
+        if (!(this.isPlaying || this.isPaused) || !this.sentenceMarks[index]) return;
+        this._skipTo(index);
+    }
+
+    // Jump forward or back whole sentences within the lead or section being read
+    skipSentence(direction) {
+        if (!this._canSkip(direction)) return;
+        this._skipTo(this._currentSentenceIndex() + direction);
+    }
+
+    // Jump to the next paragraph, or back to the start of this one (the previous one if already there)
+    skipParagraph(direction) {
+        if (!this._canSkip(direction)) return;
+
+        const marks = this.sentenceMarks;
+        const current = this._currentSentenceIndex();
+        const paragraph = marks[current].paragraph;
+
+        if (direction > 0) {
+            const next = marks.findIndex((mark) => mark.paragraph > paragraph);
+            this._skipTo(next >= 0 ? next : marks.length);
+            return;
+        }
+
+        const paragraphStart = marks.findIndex((mark) => mark.paragraph === paragraph);
+        const target = current === paragraphStart ? paragraph - 1 : paragraph;
+        this._skipTo(Math.max(0, marks.findIndex((mark) => mark.paragraph === target)));
+    }
+
+    // Skipping needs something being read. Once an article has finished, forward still means "tell me more".
+    _canSkip(direction) {
+        if ((this.isPlaying || this.isPaused) && this.sentenceMarks.length > 0) return true;
+        if (direction > 0 && !this.isBusy()) this.tellMeMore();
+        return false;
+    }
+
+    _currentSentenceIndex() {
+        let current = 0;
+        this.sentenceMarks.forEach((mark, index) => {
+            if (mark.chunkIndex < this.chunkIndex ||
+                (mark.chunkIndex === this.chunkIndex && mark.offset <= this.spokenCharIndex)) {
+                current = index;
+            }
+        });
+        return current;
+    }
+
+    // The text being read split into its sentences, in the order of sentenceMarks. A sentence too long
+    // for one chunk carries on into the next, so each runs up to where the next one starts.
+    _captionSentences() {
+        const marks = this.sentenceMarks;
+        return marks.map((mark, index) => {
+            const next = marks[index + 1] || { chunkIndex: this.speechChunks.length - 1, offset: Infinity };
+            const parts = [];
+            for (let chunk = mark.chunkIndex; chunk <= next.chunkIndex; chunk++) {
+                const start = chunk === mark.chunkIndex ? mark.offset : 0;
+                const end = chunk === next.chunkIndex ? next.offset : Infinity;
+                parts.push(this.speechChunks[chunk].slice(start, end));
+            }
+            return { text: parts.join(' ').trim(), chunkIndex: mark.chunkIndex, offset: mark.offset, paragraph: mark.paragraph };
+        });
+    }
+
+    // Where the speech has got to. Without word boundaries only the chunk is known, so `exact` is false.
+    _reportProgress() {
+        if (!this.onSpeechProgress) return;
+        this.onSpeechProgress({
+            sentenceIndex: this._currentSentenceIndex(),
+            chunkIndex: this.chunkIndex,
+            charIndex: this.spokenCharIndex,
+            exact: this.hasBoundaries
+        });
+    }
+
+    _skipTo(index) {
+        if (index < this.sentenceMarks.length) {
+            const mark = this.sentenceMarks[Math.max(0, index)];
+            this._speakFromPoint(mark.chunkIndex, mark.offset);
+            return;
+        }
+
+        // Skipping off the end of the lead or a section carries on into the next section
+        if (this.playingArticle && this.sectionIndex === 0) {
+            recordHeard(this.playingArticle);
+        }
+        this.continueArticle = true;
+        this.isPaused = false;
+        this.pausedByInterruption = false;
+        this.resumePoint = null;
+        this.manuallyStopped = false;
+        this.isPlaying = false;
+        this._clearMonitoring();
+        this._playNextSection();
+        this.engine.cancel();
+    }
+
+    // Restart the prepared chunks from a point inside them, for resuming and skipping
+    _speakFromPoint(chunkIndex, charOffset) {
+        const playId = ++this.playbackId;
+        this.activePlayId = playId;
+        this.engine.cancel();
+        clearTimeout(this.nextTimeout);
+        this._clearMonitoring();
+        this.isPaused = false;
+        this.pausedByInterruption = false;
+        this.resumePoint = null;
+        this.manuallyStopped = false;
+        this.isPlaying = false;
+        this.isLoading = true;
+
+        const remaining = [this.speechChunks[chunkIndex].slice(charOffset), ...this.speechChunks.slice(chunkIndex + 1)];
+        this.expectedDuration = this._estimateDuration(remaining.join(' '));
+
+        new Promise((resolve, reject) => {
+            this._speakFrom(chunkIndex, charOffset, playId, resolve, reject, true);
+        }).catch((error) => {
+            if (playId === this.playbackId) {
+                this.isLoading = false;
+            }
+            console.error('TourPlayer: Error resuming:', error);
+            if (this.onError) {
+                this.onError(error.message);
+            }
+            if (this.autoPlayEnabled && !this.manuallyStopped) {
+                this._scheduleNext();
+            }
+        });
+    }
+
+    _pauseAtCurrentSentence(byInterruption) {
+        if (this.isPlaying && this.sentenceMarks.length > 0) {
+            // Back to the start of the sentence being spoken
+            const mark = this.sentenceMarks[this._currentSentenceIndex()];
+            this.resumePoint = { chunkIndex: mark.chunkIndex, charOffset: mark.offset };
+        } else {
+            // Still fetching the article, so start it over on resume
+            this.resumePoint = null;
+        }
+
+        // Invalidate the utterance callbacks before cancelling so they don't advance the tour
+        ++this.playbackId;
+        this.activePlayId = 0;
+        this.isPaused = this.resumePoint !== null;
+        this.pausedByInterruption = byInterruption;
+        this.manuallyStopped = true;
+        this.isPlaying = false;
+        this.isLoading = false;
+        clearTimeout(this.nextTimeout);
+        this.engine.cancel();
+        this._clearMonitoring();
+        // Silent audio keeps running so the lock screen still offers play
+        this._updateState(false);
+        this._logDebug('Paused', byInterruption ? '(interrupted)' : '', this.resumePoint);
+    }
+
     // Play specific track by index
     playTrack(index) {
         if (index < 0 || index >= this.queue.length) {
@@ -182,6 +410,11 @@ class TourPlayer {
     // Stop playback
     stop() {
         this.manuallyStopped = true;
+        this.isPaused = false;
+        this.pausedByInterruption = false;
+        this.resumePoint = null;
+        clearTimeout(this.nextTimeout);
+        this.isLoading = false;
         this.activePlayId = 0;
         this._cancelSpeech();
         this._clearMonitoring();
@@ -210,33 +443,68 @@ class TourPlayer {
         }
     }
 
+    // Read one of the other places at the current stop; the tour then carries on from this stop
+    playFollowUp(article) {
+        this._playArticle(article);
+    }
+
+    // Keep reading the current article past the lead, section by section.
+    // While it is being read this takes effect when the current section ends.
+    tellMeMore() {
+        if (!this.playingArticle) return;
+
+        this.continueArticle = true;
+        if (!this.isBusy()) {
+            clearTimeout(this.nextTimeout);
+            this.manuallyStopped = false;
+            this._playNextSection();
+        }
+    }
+
     // Play article with location context
     async _playArticle(article) {
         const playId = ++this.playbackId;
         this.activePlayId = playId;
+        clearTimeout(this.nextTimeout);
         this._cancelSpeech();
         this.manuallyStopped = false;
+        this.isPaused = false;
+        this.pausedByInterruption = false;
+        this.resumePoint = null;
+        this.retriedCutOff = false;
+        this.playingArticle = article;
+        this.isLoading = true;
+        this.continueArticle = this.readFullArticle && this.narration !== 'snippet';
+        this.sections = null;
+        this.sectionIndex = 0;
 
         if (this.onTrackChange) {
             this.onTrackChange(article, this.currentIndex, this.queue.length);
         }
 
         try {
-            const text = await fetchArticleExtract(article.pageid);
+            const lang = article.lang || FALLBACK_LANGUAGE;
+            const [text, intro] = await Promise.all([
+                this.narration === 'snippet' ? fetchPlaceSnippet(article) : fetchPlaceNarration(article),
+                this.factIntro ? fetchFactIntro(article) : ''
+            ]);
 
             if (!text) {
                 throw new Error('No content available');
             }
 
-            let speechText = article.title + '. ' + text;
+            let speechText = article.title + '. ' + (intro ? intro + ' ' : '') + text;
             if (article._locationContext) {
                 speechText = article._locationContext + speechText;
             }
 
             this._updateMediaMetadata(article.title);
 
-            await this._speak(speechText, playId);
+            await this._speak(speechText, playId, lang);
         } catch (error) {
+            if (playId === this.playbackId) {
+                this.isLoading = false;
+            }
             console.error('TourPlayer: Error playing article:', error);
             if (this.onError) {
                 this.onError(error.message);
@@ -250,28 +518,73 @@ class TourPlayer {
         }
     }
 
-    // Speak text using speech synthesis
-    _speak(text, playId) {
-        return new Promise((resolve, reject) => {
-            if (!this.speechSynth) {
-                console.error('TourPlayer: Speech synthesis not supported');
-                reject(new Error('Speech synthesis not supported'));
+    async _playNextSection() {
+        const article = this.playingArticle;
+        const lang = article.lang || FALLBACK_LANGUAGE;
+        const playId = ++this.playbackId;
+        this.activePlayId = playId;
+        this.isLoading = true;
+
+        try {
+            if (!this.sections) {
+                this.sections = await fetchPlaceSections(article);
+            }
+            if (playId !== this.playbackId || this.manuallyStopped) return;
+
+            const section = this.sections[this.sectionIndex + 1];
+            if (!section) {
+                this._logDebug('No more sections in', article.title);
+                this.isLoading = false;
+                this.continueArticle = false;
+                if (this.onSectionChange) this.onSectionChange(article, null);
+                if (this.autoPlayEnabled && !this.manuallyStopped) {
+                    this._scheduleNext();
+                }
                 return;
             }
 
+            this.sectionIndex++;
+            if (this.onSectionChange) {
+                this.onSectionChange(article, {
+                    title: section.title,
+                    index: this.sectionIndex,
+                    total: this.sections.length - 1
+                });
+            }
+            this._updateMediaMetadata(`${article.title}: ${section.title}`);
+
+            await this._speak(`${section.title}. ${section.text}`, playId, lang);
+        } catch (error) {
+            if (playId === this.playbackId) {
+                this.isLoading = false;
+            }
+            console.error('TourPlayer: Error reading section:', error);
+            if (this.onError) {
+                this.onError(error.message);
+            }
+            this.continueArticle = false;
+            if (this.autoPlayEnabled && !this.manuallyStopped) {
+                this._scheduleNext();
+            }
+        }
+    }
+
+    // Speak text using the speech engine
+    _speak(text, playId, lang = FALLBACK_LANGUAGE) {
+        return new Promise((resolve, reject) => {
             const currentPlayId = playId ?? this.playbackId;
 
             console.log('TourPlayer: Preparing to speak, text length:', text.length);
-            console.log('TourPlayer: speechSynth.speaking:', this.speechSynth.speaking);
-            console.log('TourPlayer: speechSynth.pending:', this.speechSynth.pending);
+            console.log('TourPlayer: engine.speaking:', this.engine.speaking);
+            console.log('TourPlayer: engine.pending:', this.engine.pending);
 
             setTimeout(() => {
                 if (this.voices.length === 0) {
-                    this.voices = this.speechSynth.getVoices();
+                    this.voices = this.engine.getVoices();
                     console.log('TourPlayer: Reloaded voices, count:', this.voices.length);
                 }
                 // If still no voices, show a visible error and skip
-                if (this.voices.length === 0) {
+                if (this.voices.length === 0 && this.engine.needsVoices) {
                     if (this.onError) {
                         this.onError('Speech system not ready. On Chrome/Android, please enable sound permissions for this site in browser settings.');
                     }
@@ -279,7 +592,13 @@ class TourPlayer {
                     return;
                 }
 
-                this.speechChunks = this._buildSpeechChunks(text, SPEECH_CHUNK_MAX_CHARS);
+                // IPA, coordinates and the like are taken out and abbreviations spelled out before anything is spoken
+                const spokenText = prepareSpeechText(text, { lang });
+                const { chunks, marks } = this._buildSpeechChunks(spokenText, SPEECH_CHUNK_MAX_CHARS);
+                this.speechChunks = chunks;
+                this.sentenceMarks = marks;
+                this.speechLang = lang;
+                if (this.onCaptions) this.onCaptions(this._captionSentences());
                 this.chunkIndex = 0;
                 this.lastChunkEndTime = null;
                 this.isChunking = this.speechChunks.length > 1;
@@ -291,211 +610,313 @@ class TourPlayer {
                     return;
                 }
 
-                this.expectedDuration = this._estimateDuration(text);
+                this.expectedDuration = this._estimateDuration(spokenText);
                 console.log('TourPlayer: Expected duration:', this.expectedDuration, 'ms');
 
-                const speakChunk = (index) => {
-                    if (this.manuallyStopped) {
-                        console.log('TourPlayer: Speech manually stopped, resolving.');
-                        resolve();
-                        return;
-                    }
+                this._speakFrom(0, 0, currentPlayId, resolve, reject);
 
-                    if (currentPlayId !== this.playbackId) {
-                        console.log('TourPlayer: PlayId changed, resolving.');
-                        resolve();
-                        return;
+            }, SPEECH_CANCEL_DELAY_MS);
+        });
+    }
+
+    // Speak the prepared chunks starting part-way into one of them, at charOffset.
+    // A fresh article starts at 0, 0; resuming after a pause starts at the saved sentence.
+    _speakFrom(startIndex, charOffset, currentPlayId, resolve, reject, isResuming = false) {
+        const lang = this.speechLang;
+
+        const speakChunk = (index) => {
+            if (this.manuallyStopped) {
+                console.log('TourPlayer: Speech manually stopped, resolving.');
+                resolve();
+                return;
+            }
+
+            if (currentPlayId !== this.playbackId) {
+                console.log('TourPlayer: PlayId changed, resolving.');
+                resolve();
+                return;
+            }
+
+            const offset = index === startIndex ? charOffset : 0;
+            const chunkText = this.speechChunks[index].slice(offset);
+            this.chunkIndex = index;
+
+            this.currentUtterance = this.engine.createUtterance(chunkText);
+            this.currentUtterance.rate = this.voiceSettings.rate;
+            this.currentUtterance.pitch = this.voiceSettings.pitch;
+            this.currentUtterance.volume = 1;
+
+            this._selectVoice(this.currentUtterance, lang);
+            console.log('TourPlayer: Selected voice:', this.currentUtterance.voice?.name, this.currentUtterance.lang);
+
+            this.currentUtterance.onstart = () => {
+                if (currentPlayId !== this.playbackId) return;
+                this.spokenCharIndex = offset;
+                this.hasBoundaries = false;
+                this.chunkStartTime = Date.now();
+                this._reportProgress();
+                if (index === startIndex) {
+                    this.isLoading = false;
+                    this.isPlaying = true;
+                    this.speechStartTime = Date.now();
+                    this._updateState(true);
+                    this._startMonitoring();
+                    this._startSilentAudio();
+                    if (this.onNarrationStart && !isResuming && this.sectionIndex === 0) {
+                        this.onNarrationStart(this.playingArticle);
                     }
+                    console.log('TourPlayer: ✓ Speech STARTED successfully');
+                } else {
+                    console.log('TourPlayer: ✓ Speech chunk started', index + 1, '/', this.speechChunks.length);
+                }
+            };
+
+            // Word boundaries tell us how far into the chunk we are, so a pause can resume mid-chunk
+            this.currentUtterance.onboundary = (event) => {
+                if (currentPlayId !== this.playbackId) return;
+                this.spokenCharIndex = offset + event.charIndex;
+                this.hasBoundaries = true;
+                this._reportProgress();
+            };
+
+            this.currentUtterance.onend = () => {
+                if (currentPlayId !== this.playbackId) {
+                    console.log('TourPlayer: onend: PlayId changed, resolving.');
+                    resolve();
+                    return;
+                }
+                this.lastChunkEndTime = Date.now();
+                this.retriedCutOff = false;
+                if (index < this.speechChunks.length - 1) {
+                    console.log('TourPlayer: Speech chunk ended, moving to next chunk', index + 2);
+                    setTimeout(() => speakChunk(index + 1), 0);
+                    return;
+                }
 
-                    const chunkText = this.speechChunks[index];
-                    this.chunkIndex = index;
-
-                    this.currentUtterance = new SpeechSynthesisUtterance(chunkText);
-                    this.currentUtterance.rate = 0.9;
-                    this.currentUtterance.pitch = 1;
-                    this.currentUtterance.volume = 1;
-
-                    this._selectVoice(this.currentUtterance);
-                    console.log('TourPlayer: Selected voice:', this.currentUtterance.voice?.name, this.currentUtterance.lang);
-
-                    this.currentUtterance.onstart = () => {
-                        if (currentPlayId !== this.playbackId) return;
-                        if (index === 0) {
-                            this.isPlaying = true;
-                            this.speechStartTime = Date.now();
-                            this._updateState(true);
-                            this._startMonitoring();
-                            this._startSilentAudio();
-                            console.log('TourPlayer: ✓ Speech STARTED successfully');
-                        } else {
-                            console.log('TourPlayer: ✓ Speech chunk started', index + 1, '/', this.speechChunks.length);
-                        }
-                    };
+                console.log('TourPlayer: ✓ Speech ENDED normally, calling _handleSpeechEnd');
+                this._handleSpeechEnd(currentPlayId, true);
+                resolve();
+            };
 
-                    this.currentUtterance.onend = () => {
-                        if (currentPlayId !== this.playbackId) {
-                            console.log('TourPlayer: onend: PlayId changed, resolving.');
-                            resolve();
-                            return;
-                        }
-                        this.lastChunkEndTime = Date.now();
-                        if (index < this.speechChunks.length - 1) {
-                            console.log('TourPlayer: Speech chunk ended, moving to next chunk', index + 2);
-                            setTimeout(() => speakChunk(index + 1), 0);
-                            return;
-                        }
+            this.currentUtterance.onerror = (event) => {
+                if (currentPlayId !== this.playbackId) {
+                    console.log('TourPlayer: onerror: PlayId changed, resolving.');
+                    resolve();
+                    return;
+                }
+                console.error('TourPlayer: ✗ Speech ERROR:', event.error, event);
 
-                        console.log('TourPlayer: ✓ Speech ENDED normally, calling _handleSpeechEnd');
-                        this._handleSpeechEnd(currentPlayId);
-                        resolve();
-                    };
+                // Something else took the audio (a call, another app); hold our place instead of moving on
+                if (INTERRUPTION_ERRORS.includes(event.error) && !this.manuallyStopped) {
+                    this._pauseAtCurrentSentence(true);
+                    resolve();
+                    return;
+                }
 
-                    this.currentUtterance.onerror = (event) => {
-                        if (currentPlayId !== this.playbackId) {
-                            console.log('TourPlayer: onerror: PlayId changed, resolving.');
-                            resolve();
-                            return;
-                        }
-                        console.error('TourPlayer: ✗ Speech ERROR:', event.error, event);
-                        this.isPlaying = false;
-                        this._clearMonitoring();
-                        this._updateState(false);
-
-                        if (event.error !== 'canceled') {
-                            console.log('TourPlayer: Speech error not canceled, rejecting and advancing.');
-                            reject(new Error(event.error));
+                this.isPlaying = false;
+                this.isLoading = false;
+                this._clearMonitoring();
+                this._updateState(false);
+
+                if (event.error !== 'canceled') {
+                    console.log('TourPlayer: Speech error not canceled, rejecting and advancing.');
+                    reject(new Error(event.error));
+                } else {
+                    console.log('TourPlayer: Speech error canceled, resolving.');
+                    resolve();
+                }
+            };
+
+            const _startSpeaking = () => {
+                console.log('TourPlayer: Calling engine.speak()');
+                this.engine.speak(this.currentUtterance);
+                console.log('TourPlayer: engine.speak() called, now speaking:', this.engine.speaking);
+
+                setTimeout(() => {
+                    console.log('TourPlayer: Post-speak check - speaking:', this.engine.speaking, 'paused:', this.engine.paused);
+                    if (this.engine.paused) {
+                        console.log('TourPlayer: Speech is paused, resuming...');
+                        this.engine.resume();
+                    }
+                    if (!this.engine.speaking && !this.isPlaying && index === startIndex && currentPlayId === this.playbackId) {
+                        if (!this.engine.confirmsStart) {
+                            console.warn('TourPlayer: Speech start status unclear, continuing');
                         } else {
-                            console.log('TourPlayer: Speech error canceled, resolving.');
-                            resolve();
-                        }
-                    };
-
-                    const _startSpeaking = () => {
-                        console.log('TourPlayer: Calling speechSynth.speak()');
-                        this.speechSynth.speak(this.currentUtterance);
-                        console.log('TourPlayer: speechSynth.speak() called, now speaking:', this.speechSynth.speaking);
-
-                        setTimeout(() => {
-                            console.log('TourPlayer: Post-speak check - speaking:', this.speechSynth.speaking, 'paused:', this.speechSynth.paused);
-                            if (this.speechSynth.paused) {
-                                console.log('TourPlayer: Speech is paused, resuming...');
-                                this.speechSynth.resume();
-                            }
-                            if (!this.speechSynth.speaking && !this.isPlaying && index === 0 && currentPlayId === this.playbackId) {
-                                if (this.isFirefox) {
-                                    console.warn('TourPlayer: Speech start status unclear (Firefox), continuing');
-                                } else {
-                                    console.error('TourPlayer: Speech failed to start!');
-                                    if (this.onError) {
-                                        this.onError('Speech failed to start. On Chrome/Android, please enable sound permissions in browser settings.');
-                                    }
-                                    reject(new Error('Speech failed to start'));
-                                }
+                            console.error('TourPlayer: Speech failed to start!');
+                            if (this.onError) {
+                                this.onError('Speech failed to start. On Chrome/Android, please enable sound permissions in browser settings.');
                             }
-                        }, SPEECH_RESUME_CHECK_DELAY_MS);
-                    };
-
-                    if (this.speechSynth.pending || this.speechSynth.speaking) {
-                        console.log('TourPlayer: Canceling existing speech');
-                        this.speechSynth.cancel();
-                        setTimeout(() => _startSpeaking(), 100);
-                    } else {
-                        _startSpeaking();
+                            reject(new Error('Speech failed to start'));
+                        }
                     }
-                };
+                }, SPEECH_RESUME_CHECK_DELAY_MS);
+            };
 
-                speakChunk(0);
+            if (this.engine.pending || this.engine.speaking) {
+                console.log('TourPlayer: Canceling existing speech');
+                this.engine.cancel();
+                setTimeout(() => _startSpeaking(), 100);
+            } else {
+                _startSpeaking();
+            }
+        };
 
-            }, SPEECH_CANCEL_DELAY_MS);
-        });
+        speakChunk(startIndex);
     }
 
-    // Select appropriate voice
-    _selectVoice(utterance) {
+    // Select the chosen voice if it speaks the article's language, otherwise one that does, falling back to English
+    _selectVoice(utterance, lang = FALLBACK_LANGUAGE) {
         if (this.voices.length > 0) {
-            const englishVoice = this.voices.find(v => v.lang.startsWith('en'));
-            if (englishVoice) {
-                utterance.voice = englishVoice;
-                utterance.lang = englishVoice.lang;
-            } else {
-                utterance.voice = this.voices[0];
-                utterance.lang = this.voices[0].lang;
-            }
+            const chosen = this.voices.find((v) => v.voiceURI === this.voiceSettings.voiceURI);
+            const voice = (chosen && this._voiceMatches(chosen, lang) ? chosen : null) ||
+                this._findVoice(lang) || this._findVoice(FALLBACK_LANGUAGE) || this.voices[0];
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else {
+            utterance.lang = lang;
+        }
+    }
+
+    // Find the first voice whose language matches, e.g. 'fr' matches 'fr-FR' and 'fr_CA'
+    _findVoice(lang) {
+        return this.voices.find((v) => this._voiceMatches(v, lang)) || null;
+    }
+
+    _voiceMatches(voice, lang) {
+        const prefix = lang.toLowerCase();
+        const voiceLang = voice.lang.toLowerCase().replace('_', '-');
+        return voiceLang === prefix || voiceLang.startsWith(prefix + '-');
+    }
+
+    // Swap how narration is delivered, e.g. to on-screen text when the device has no voices. Whatever
+    // is being read stops; the next article uses the new engine.
+    setSpeechEngine(engine) {
+        if (this.isBusy() || this.isPaused) this.stop();
+        this.engine.cancel();
+        this.engine = engine;
+        this.voices = [];
+        this.voicesLoaded = false;
+        this._initializeVoices();
+    }
+
+    setVoiceSettings(settings) {
+        this.voiceSettings = { ...this.voiceSettings, ...settings };
+    }
+
+    // Say a short sample with the given settings, pausing the tour first so it can carry on afterwards
+    previewVoice(text, settings = this.voiceSettings) {
+        if (this.isPlaying || this.isLoading) this.pause();
+        this._speakShort(text, this.speechLang, settings);
+    }
+
+    // A one-off remark between articles, such as a place just walked past. Ignored while an article
+    // is being read, and an article starting cuts it short.
+    announce(text, lang = FALLBACK_LANGUAGE) {
+        if (this.isBusy()) return;
+        this._speakShort(prepareSpeechText(text, { lang }), lang, this.voiceSettings);
+    }
+
+    // Speak outside the article pipeline: no chunks, monitoring or history
+    _speakShort(text, lang, settings) {
+        const voice = this.voices.find((v) => v.voiceURI === settings.voiceURI);
+        const utterance = this.engine.createUtterance(text);
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
         } else {
-            utterance.lang = 'en-US';
+            this._selectVoice(utterance, lang);
         }
+
+        this.engine.cancel();
+        this.engine.speak(utterance);
     }
 
-    // Estimate speech duration
+    // Estimate speech duration at the chosen speed
     _estimateDuration(text) {
-        const words = text.split(/\s+/).length;
-        const adjustedWPM = 150 * 0.9;
+        // CJK text has no spaces between words, so count its characters at roughly 2.5 per word
+        const cjkChars = (text.match(/[\u3040-\u30ff\u3400-\u9fff]/g) || []).length;
+        const words = text.split(/\s+/).length + cjkChars / 2.5;
+        const adjustedWPM = SPEECH_WORDS_PER_MINUTE * this.voiceSettings.rate;
         return (words / adjustedWPM) * 60 * 1000;
     }
 
-    // Split long text into smaller chunks for more reliable playback
+    // Split long text into smaller chunks for more reliable playback.
+    // Also returns where every sentence starts ({ chunkIndex, offset, paragraph }) so playback can skip by sentence.
     _buildSpeechChunks(text, maxLength) {
-        const normalized = text.replace(/\s+/g, ' ').trim();
-        if (!normalized) return [];
-        if (normalized.length <= maxLength) return [normalized];
-
-        const sentenceMatches = normalized.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [normalized];
         const chunks = [];
+        const marks = [];
         let current = '';
+        let paragraph = -1;
 
-        sentenceMatches.forEach((sentence) => {
-            const trimmed = sentence.trim();
-            if (!trimmed) return;
-
-            if ((current + ' ' + trimmed).trim().length <= maxLength) {
-                current = current ? `${current} ${trimmed}` : trimmed;
-                return;
-            }
-
-            if (current) {
+        // Adds a piece to the chunk being built, starting a new chunk if it won't fit; returns its offset
+        const append = (piece) => {
+            if (current && (current + ' ' + piece).length > maxLength) {
                 chunks.push(current);
                 current = '';
             }
+            const offset = current ? current.length + 1 : 0;
+            current = current ? `${current} ${piece}` : piece;
+            return offset;
+        };
 
-            if (trimmed.length <= maxLength) {
-                current = trimmed;
-                return;
-            }
+        text.split(/\n+/).forEach((paragraphText) => {
+            const normalized = paragraphText.replace(/\s+/g, ' ').trim();
+            if (!normalized) return;
+            paragraph++;
 
-            let segment = '';
-            trimmed.split(' ').forEach((word) => {
-                if (!word) return;
-                if ((segment + ' ' + word).trim().length <= maxLength) {
-                    segment = segment ? `${segment} ${word}` : word;
-                } else {
-                    if (segment) chunks.push(segment);
-                    segment = word;
+            const sentenceMatches = normalized.match(/[^.!?。！？]+[.!?。！？]+|[^.!?。！？]+$/g) || [normalized];
+            sentenceMatches.forEach((sentence) => {
+                const trimmed = sentence.trim();
+                if (!trimmed) return;
+
+                if (trimmed.length <= maxLength) {
+                    const offset = append(trimmed);
+                    marks.push({ chunkIndex: chunks.length, offset, paragraph });
+                    return;
                 }
-            });
 
-            if (segment) {
-                current = segment;
-            }
+                // A sentence longer than a chunk is split between words
+                let segment = '';
+                let isFirstSegment = true;
+                const appendSegment = () => {
+                    const offset = append(segment);
+                    if (isFirstSegment) marks.push({ chunkIndex: chunks.length, offset, paragraph });
+                    isFirstSegment = false;
+                };
+                trimmed.split(' ').forEach((word) => {
+                    if (!word) return;
+                    if ((segment + ' ' + word).trim().length <= maxLength) {
+                        segment = segment ? `${segment} ${word}` : word;
+                    } else {
+                        if (segment) appendSegment();
+                        segment = word;
+                    }
+                });
+                if (segment) appendSegment();
+            });
         });
 
         if (current) chunks.push(current);
-        return chunks;
+        return { chunks, marks };
     }
 
     // Cancel current speech
     _cancelSpeech() {
-        if (this.speechSynth) {
-            this.speechSynth.cancel();
-        }
+        this.engine.cancel();
         this.currentUtterance = null;
         this.speechChunks = [];
+        this.sentenceMarks = [];
+        if (this.onCaptions) this.onCaptions([]);
         this.chunkIndex = 0;
         this.lastChunkEndTime = null;
         this.isChunking = false;
     }
 
-    // Handle speech ending
-    _handleSpeechEnd(playId) {
+    // Handle speech ending. `finished` is only set when the last chunk's end event fired: the monitor lands
+    // here too when speech was killed, and an article cut short doesn't count as heard.
+    _handleSpeechEnd(playId, finished = false) {
         if (playId && playId !== this.playbackId) {
             this._logDebug('_handleSpeechEnd: playId changed, not advancing.');
             return;
@@ -504,6 +925,15 @@ class TourPlayer {
         this._updateState(false);
         this._clearMonitoring();
 
+        if (finished && this.playingArticle && this.sectionIndex === 0) {
+            recordHeard(this.playingArticle);
+        }
+
+        if (this.continueArticle && !this.manuallyStopped) {
+            this._playNextSection();
+            return;
+        }
+
         if (this.autoPlayEnabled && !this.manuallyStopped) {
             this._logDebug('_handleSpeechEnd: autoPlayEnabled and not manuallyStopped, calling _scheduleNext');
             this._scheduleNext();
@@ -515,10 +945,17 @@ class TourPlayer {
     // Schedule next track
     _scheduleNext() {
         this._logDebug('_scheduleNext: called. Queue length:', this.queue.length, 'Current index:', this.currentIndex);
-        setTimeout(() => {
-            if (this.currentIndex < this.queue.length - 1) {
-                this._logDebug('_scheduleNext: Advancing to next article.');
-                this.currentIndex++;
+        if (this.waitForArrival) {
+            // Keep the silent audio running so the page stays awake until the next place is reached
+            this._logDebug('_scheduleNext: waiting for arrival at the next place.');
+            return;
+        }
+        clearTimeout(this.nextTimeout);
+        this.nextTimeout = setTimeout(() => {
+            const nextIndex = this._findNextIndex(this.currentIndex);
+            if (nextIndex >= 0) {
+                this._logDebug('_scheduleNext: Advancing to article', nextIndex);
+                this.currentIndex = nextIndex;
                 this.play();
             } else {
                 this._logDebug('_scheduleNext: Reached end of queue.');
@@ -531,7 +968,21 @@ class TourPlayer {
                     });
                 }
             }
-        }, ARTICLE_PAUSE_MS);
+        }, getSetting('articlePauseMs'));
+    }
+
+    // Index of the next article auto-play should read after fromIndex, or -1 at the end of the queue.
+    // With the 'skip' policy places heard in earlier sessions are passed over.
+    _findNextIndex(fromIndex) {
+        for (let i = fromIndex + 1; i < this.queue.length; i++) {
+            if (!this.shouldSkip(this.queue[i])) return i;
+        }
+        return -1;
+    }
+
+    // Whether auto-play passes over this article because it was heard before
+    shouldSkip(article) {
+        return this.heardPolicy === 'skip' && hasHeard(article.key);
     }
 
     // Start monitoring speech status
@@ -554,9 +1005,11 @@ class TourPlayer {
             if (sinceChunkEnd < 1500) return;
         }
 
-        const isActuallySpeaking = this.speechSynth && this.speechSynth.speaking;
+        const isActuallySpeaking = this.engine.speaking;
 
-        if (this.isPlaying && !isActuallySpeaking) {
+        if (this.isPlaying && !isActuallySpeaking && this._looksCutOff()) {
+            this._recoverCutOff();
+        } else if (this.isPlaying && !isActuallySpeaking) {
             console.log('TourPlayer: Speech ended in background');
             this._handleSpeechEnd();
         } else if (this.isPlaying && this.speechStartTime && this.expectedDuration) {
@@ -568,6 +1021,33 @@ class TourPlayer {
         }
     }
 
+    // Behind the lock screen new speech tends to be dropped too, so wait there until the page is shown again.
+    // On a visible page nothing else will bring it back, so pick up at the sentence straight away, once;
+    // if it's cut off again before a chunk finishes, move on as if it had ended.
+    _recoverCutOff() {
+        if (document.hidden) {
+            this._logDebug('Speech was cut off while hidden, pausing');
+            this._pauseAtCurrentSentence(true);
+        } else if (!this.retriedCutOff) {
+            this._logDebug('Speech was cut off, retrying from the sentence');
+            this.retriedCutOff = true;
+            this._pauseAtCurrentSentence(true);
+            this.resume();
+        } else {
+            this._logDebug('Speech was cut off again, moving on');
+            this._handleSpeechEnd();
+        }
+    }
+
+    // Speech stopped without an end event. If chunks remain, or the last one stopped well short of
+    // its expected length, the browser killed it rather than it finishing.
+    _looksCutOff() {
+        if (this.chunkIndex < this.speechChunks.length - 1) return true;
+        const chunk = this.speechChunks[this.chunkIndex];
+        if (!chunk || !this.chunkStartTime) return false;
+        return Date.now() - this.chunkStartTime < this._estimateDuration(chunk) * 0.5;
+    }
+
     // Clear monitoring interval
     _clearMonitoring() {
         if (this.monitorInterval) {
@@ -589,9 +1069,13 @@ class TourPlayer {
 
     // Notify state change
     _updateState(playing) {
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = playing ? 'playing' : this.isPaused ? 'paused' : 'none';
+        }
         if (this.onStateChange) {
             this.onStateChange({
                 playing,
+                paused: this.isPaused,
                 currentIndex: this.currentIndex,
                 queueLength: this.queue.length
             });
@@ -608,9 +1092,24 @@ class TourPlayer {
         return this.isPlaying;
     }
 
+    // Playing, or fetching an article that is about to play
+    isBusy() {
+        return this.isPlaying || this.isLoading;
+    }
+
     // Update queue and adjust if playing
     updateQueue(articles) {
         this.queue = articles;
+
+        // The queue may have been re-sorted, so follow the article being read to its new position
+        if (this.playingArticle) {
+            const index = articles.findIndex((article) => article.key === this.playingArticle.key);
+            if (index >= 0) {
+                this.currentIndex = index;
+                return;
+            }
+        }
+
         if (this.currentIndex >= articles.length && articles.length > 0) {
             this.currentIndex = articles.length - 1;
         }
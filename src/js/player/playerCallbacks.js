@@ -1,12 +1,20 @@
 // Player state and track change callbacks for TourPlayer
 // Exports: onStateChange, onTrackChange, onError
 import { showStatus } from '../utils/appUtils.js';
-import { calculateDistance, calculateBearing, bearingToCompassDirection, formatDistance } from '../index.js';
-import { prevBtn, nextBtn, playPauseBtn, stopBtn, currentPosition, currentArticleDiv, currentTitleLink, currentDistanceDiv, currentSnippetDiv, currentImageContainer, emptyStateDiv } from '../dom/elements.js';
+import { calculateDistance, calculateBearing, bearingToCompassDirection, relativeDirection, formatDistance, getHeading } from '../index.js';
+import { prevBtn, nextBtn, skipBackBtn, skipForwardBtn, playPauseBtn, stopBtn, currentPosition, currentArticleDiv, currentTitleLink, currentDistanceDiv, currentSnippetDiv, currentImageContainer, emptyStateDiv } from '../dom/elements.js';
 import { renderCurrentArticle } from '../app.js';
 
+// How each relative direction is spoken, e.g. '30 meters on your left is ...'
+const RELATIVE_PHRASES = {
+    ahead: 'ahead of you',
+    behind: 'behind you',
+    left: 'on your left',
+    right: 'on your right'
+};
+
 export const onStateChange = (state) => {
-    if (state.playing) {
+    if (state.playing || state.paused) {
         stopBtn.classList.remove('hidden');
     } else {
         stopBtn.classList.add('hidden');
@@ -17,7 +25,7 @@ export const onStateChange = (state) => {
 
     if (playPauseBtn) {
         playPauseBtn.textContent = state.playing ? '⏸' : '▶️';
-        playPauseBtn.setAttribute('aria-label', state.playing ? 'Pause' : 'Play');
+        playPauseBtn.setAttribute('aria-label', state.playing ? 'Pause' : state.paused ? 'Resume' : 'Play');
     }
 
     if (prevBtn && nextBtn) {
@@ -25,20 +33,31 @@ export const onStateChange = (state) => {
         prevBtn.disabled = !hasQueue || state.currentIndex <= 0;
         nextBtn.disabled = !hasQueue || state.currentIndex >= state.queueLength - 1;
     }
+
+    // Sentences can only be skipped while an article is being read or is paused
+    if (skipBackBtn && skipForwardBtn) {
+        skipBackBtn.disabled = !state.playing && !state.paused;
+        skipForwardBtn.disabled = !state.playing && !state.paused;
+    }
 };
 
 export const onTrackChange = (article, index, total) => {
     showStatus(`Reading: ${article.title} (${index + 1}/${total})`, 'success');
 
-    // Set location context in the format: '30 meters north of you is ...'
-    if (window.currentPosition && window.currentPosition.coords && article.lat && article.lon) {
+    // Set location context in the format: '30 meters ahead of you is ...',
+    // or '30 meters north of you is ...' when we don't know which way you're facing.
+    // Follow-ups at a stop are where the listener already is.
+    if (article.stopKey) {
+        article._locationContext = 'Also here is ';
+    } else if (window.currentPosition && window.currentPosition.coords && article.lat && article.lon) {
         const { latitude, longitude } = window.currentPosition.coords;
         const distance = calculateDistance(latitude, longitude, article.lat, article.lon);
         const bearing = calculateBearing(latitude, longitude, article.lat, article.lon);
-        const direction = bearingToCompassDirection(bearing);
-        const distanceText = formatDistance(distance);
-        // Example: '30 meters north of you is '
-        article._locationContext = `${distanceText} ${direction.toLowerCase()} of you is `;
+        const heading = getHeading();
+        const placement = heading === null ?
+            `${bearingToCompassDirection(bearing)} of you` :
+            RELATIVE_PHRASES[relativeDirection(bearing, heading)];
+        article._locationContext = `${formatDistance(distance)} ${placement} is `;
     }
 
     renderCurrentArticle(article, index, total);
@@ -0,0 +1,215 @@
+// Speech engines for TourPlayer. Every engine has the shape of window.speechSynthesis, plus a factory for
+// its utterances, so the player drives them all the same way:
+//   speaking, pending, paused
+//   getVoices(), onVoicesChanged(callback)
+//   createUtterance(text) returns an object with text, rate, pitch, volume, voice and lang, whose
+//     onstart, onboundary, onend and onerror handlers the engine calls like a SpeechSynthesisUtterance's
+//   speak(utterance), cancel(), resume()
+//   needsVoices: whether it can't narrate until the device has voices installed
+//   confirmsStart: whether `speaking` can be trusted straight after speak()
+// The text engine reads nothing aloud; it paces through the text at speaking speed, firing word boundaries
+// like a voice would, so the captions can be read along with instead.
+// The fake engine does nothing until told to, so the whole player can be driven step by step without a browser.
+import { SPEECH_WORDS_PER_MINUTE } from '../config.js';
+
+export function isWebSpeechAvailable() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+export function createWebSpeechEngine(synth = window.speechSynthesis) {
+    return {
+        name: 'webSpeech',
+        needsVoices: true,
+        // Firefox is slow to report speaking, so a narration that hasn't started yet may be fine
+        confirmsStart: !/firefox/i.test(navigator.userAgent),
+        get speaking() {
+            return synth.speaking;
+        },
+        get pending() {
+            return synth.pending;
+        },
+        get paused() {
+            return synth.paused;
+        },
+        getVoices() {
+            return synth.getVoices();
+        },
+        onVoicesChanged(callback) {
+            if (synth.onvoiceschanged !== undefined) synth.onvoiceschanged = callback;
+        },
+        createUtterance(text) {
+            return new window.SpeechSynthesisUtterance(text);
+        },
+        speak(utterance) {
+            synth.speak(utterance);
+        },
+        cancel() {
+            synth.cancel();
+        },
+        resume() {
+            synth.resume();
+        }
+    };
+}
+
+// Reads aloud where the browser can, otherwise paces through the text for the captions
+export function createDefaultSpeechEngine() {
+    return isWebSpeechAvailable() ? createWebSpeechEngine() : createTextEngine();
+}
+
+// Paces through each utterance a word at a time, at the speed it would have been spoken
+export function createTextEngine() {
+    let timerId = null;
+
+    const engine = createScriptedEngine('text', {
+        voices: [],
+        needsVoices: false,
+        defer: (callback) => setTimeout(callback, 0),
+        onStart(utterance) {
+            const words = wordStarts(utterance.text);
+            const msPerWord = 60000 / (SPEECH_WORDS_PER_MINUTE * (utterance.rate || 1));
+            let word = 0;
+
+            const step = () => {
+                word++;
+                if (word < words.length) {
+                    engine.boundary(words[word]);
+                    timerId = setTimeout(step, msPerWord);
+                } else {
+                    timerId = null;
+                    engine.finish();
+                }
+            };
+            timerId = setTimeout(step, msPerWord);
+        },
+        onStop() {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+    });
+    return engine;
+}
+
+// Does nothing by itself unless `autoPlay` is set: call boundary(), finish(), fail() or stall() to script
+// what the speech does next. Everything spoken is kept in `spoken`, and `current` is the utterance playing.
+export function createFakeSpeechEngine(options = {}) {
+    const engine = createScriptedEngine('fake', {
+        voices: options.voices ?? [{ name: 'Fake voice', lang: 'en-GB', voiceURI: 'fake:en-GB', default: true }],
+        needsVoices: true,
+        // Microtasks keep events asynchronous, like a real engine, without needing timers to pass
+        defer: (callback) => Promise.resolve().then(callback),
+        onStart(utterance) {
+            engine.spoken.push(utterance.text);
+            if (!options.autoPlay) return;
+            wordStarts(utterance.text).slice(1).forEach((charIndex) => engine.boundary(charIndex));
+            engine.finish();
+        }
+    });
+    engine.spoken = [];
+    return engine;
+}
+
+// Character offsets where each word in the text starts
+function wordStarts(text) {
+    return [...text.matchAll(/\S+/g)].map((match) => match.index);
+}
+
+function createScriptedUtterance(text) {
+    return {
+        text,
+        rate: 1,
+        pitch: 1,
+        volume: 1,
+        voice: null,
+        lang: '',
+        onstart: null,
+        onboundary: null,
+        onend: null,
+        onerror: null
+    };
+}
+
+// Shared by the engines that don't use the browser: a queue of utterances, started one at a time,
+// with the events each one fires driven by the engine that wraps it
+function createScriptedEngine(name, { voices, needsVoices, defer, onStart, onStop = () => {} }) {
+    const queue = [];
+    let current = null;
+
+    const fire = (utterance, handler, event = {}) => {
+        if (utterance[handler]) utterance[handler]({ utterance, charIndex: 0, ...event });
+    };
+
+    const startNext = () => {
+        current = queue.shift() || null;
+        if (!current) return;
+        const utterance = current;
+        defer(() => {
+            if (current !== utterance) return;
+            fire(utterance, 'onstart');
+            onStart(utterance);
+        });
+    };
+
+    // Ends the utterance playing with the given event and moves on to the next one queued
+    const settle = (handler, event) => {
+        const utterance = current;
+        if (!utterance) return;
+        current = null;
+        onStop();
+        fire(utterance, handler, event);
+        startNext();
+    };
+
+    return {
+        name,
+        needsVoices,
+        confirmsStart: true,
+        get speaking() {
+            return current !== null;
+        },
+        get pending() {
+            return queue.length > 0;
+        },
+        get paused() {
+            return false;
+        },
+        get current() {
+            return current;
+        },
+        getVoices() {
+            return voices;
+        },
+        onVoicesChanged() {
+            // The voice list never changes
+        },
+        createUtterance: createScriptedUtterance,
+        speak(utterance) {
+            queue.push(utterance);
+            if (!current) startNext();
+        },
+        // Like the browsers the player was written against, cancelled utterances report a 'canceled' error
+        cancel() {
+            const cancelled = [current, ...queue.splice(0)].filter(Boolean);
+            if (current) onStop();
+            current = null;
+            cancelled.forEach((utterance) => defer(() => fire(utterance, 'onerror', { error: 'canceled' })));
+        },
+        resume() {
+            // Never paused
+        },
+        boundary(charIndex) {
+            if (current) fire(current, 'onboundary', { name: 'word', charIndex });
+        },
+        finish() {
+            settle('onend', { charIndex: current ? current.text.length : 0 });
+        },
+        fail(error = 'synthesis-failed') {
+            settle('onerror', { error });
+        },
+        // Speech stops without any event, as when a browser drops it behind the lock screen
+        stall() {
+            current = null;
+            onStop();
+        }
+    };
+}
@@ -0,0 +1,130 @@
+// Persistent response cache for API requests.
+// Responses are kept in IndexedDB until they expire, identical requests already in flight share one
+// promise, and every lookup is reported to listeners so the debug panel can show hits and misses.
+import { openDatabase, requestToPromise, transactionDone } from '../utils/idb.js';
+
+const DB_NAME = 'walking-tour-cache';
+const DB_VERSION = 1;
+const STORE = 'responses';
+
+let dbPromise = null;
+const inFlight = new Map();
+const listeners = new Set();
+const stats = { hits: 0, misses: 0, deduped: 0, stale: 0 };
+const STAT_FOR_EVENT = { hit: 'hits', miss: 'misses', deduped: 'deduped', stale: 'stale' };
+
+function getDatabase() {
+    if (!dbPromise) {
+        dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+            const store = db.createObjectStore(STORE, { keyPath: 'url' });
+            store.createIndex('byExpiry', 'expiresAt');
+        }).then((db) => {
+            pruneExpired(db).catch((error) => console.warn('ApiCache: prune failed:', error));
+            return db;
+        }).catch((error) => {
+            console.warn('ApiCache: IndexedDB unavailable, responses will not be cached:', error);
+            return null;
+        });
+    }
+    return dbPromise;
+}
+
+async function pruneExpired(db) {
+    const tx = db.transaction(STORE, 'readwrite');
+    const keys = await requestToPromise(
+        tx.objectStore(STORE).index('byExpiry').getAllKeys(IDBKeyRange.upperBound(Date.now()))
+    );
+    keys.forEach((key) => tx.objectStore(STORE).delete(key));
+    await transactionDone(tx);
+}
+
+async function readEntry(url) {
+    const db = await getDatabase();
+    if (!db) return null;
+    try {
+        return await requestToPromise(db.transaction(STORE).objectStore(STORE).get(url)) || null;
+    } catch (error) {
+        console.warn('ApiCache: read failed:', error);
+        return null;
+    }
+}
+
+async function writeEntry(url, data, ttl) {
+    const db = await getDatabase();
+    if (!db) return;
+    try {
+        const storedAt = Date.now();
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).put({ url, data, storedAt, expiresAt: storedAt + ttl });
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn('ApiCache: write failed:', error);
+    }
+}
+
+function emit(type, url) {
+    stats[STAT_FOR_EVENT[type]]++;
+    const event = { type, url, stats: getApiCacheStats() };
+    listeners.forEach((listener) => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('ApiCache: listener error:', error);
+        }
+    });
+}
+
+// Serve `url` from the cache while it's fresh, otherwise call `request` and store the result.
+// If the network fails, an expired entry is better than nothing and is returned instead.
+export function cachedRequest(url, request, options = {}) {
+    const ttl = options.ttl;
+
+    if (inFlight.has(url)) {
+        emit('deduped', url);
+        return inFlight.get(url);
+    }
+
+    const pending = (async () => {
+        const entry = await readEntry(url);
+        if (entry && entry.expiresAt > Date.now()) {
+            emit('hit', url);
+            return entry.data;
+        }
+
+        try {
+            const data = await request();
+            emit('miss', url);
+            writeEntry(url, data, ttl);
+            return data;
+        } catch (error) {
+            if (entry) {
+                emit('stale', url);
+                return entry.data;
+            }
+            throw error;
+        }
+    })();
+
+    inFlight.set(url, pending);
+    const cleanup = () => inFlight.delete(url);
+    pending.then(cleanup, cleanup);
+
+    return pending;
+}
+
+export function onApiCacheEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getApiCacheStats() {
+    return { ...stats };
+}
+
+export async function clearApiCache() {
+    const db = await getDatabase();
+    if (!db) return;
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+}
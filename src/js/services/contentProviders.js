@@ -0,0 +1,146 @@
+// Where places and their narration come from. Each provider finds places near a point and supplies
+// narration text, a snippet, images and Wikidata classes for them; the rest of the app works with the
+// merged results and never needs to know which provider a place came from.
+//
+// A provider is an object with:
+//   id, name
+//   fetchNearby(lat, lon, { radius, limit, lang }) -> places with key, provider, title, lat, lon, dist, lang
+//   fetchNarration(place) -> text read out when the place plays
+//   fetchSections(place) -> [{ title, text }], lead first (optional; the narration alone is used otherwise)
+//   fetchSnippet(place) -> a sentence or two for the card
+//   fetchImages(places) -> Map of place key to image URL
+//   fetchClasses(places, classIds) -> Map of place key to those of the Wikidata classes in classIds the place
+//     is an instance of, directly or through subclasses (optional)
+//   fetchWikidataItem(place) -> the place's Wikidata item id, or null (optional)
+//   fetchImportance(places) -> Map of place key to how notable it is, from 0 to 1 (optional)
+//   placeUrl(place) -> page to open for more
+import { DEFAULT_CONTENT_PROVIDERS, DUPLICATE_PLACE_DISTANCE_METERS } from '../config.js';
+import { getPreference, setPreference } from './preferences.js';
+import { wikipediaProvider } from './providers/wikipediaProvider.js';
+import { wikivoyageProvider } from './providers/wikivoyageProvider.js';
+import { calculateDistance } from '../utils/geo.js';
+
+const PROVIDERS_KEY = 'providers';
+
+const providers = new Map([wikipediaProvider, wikivoyageProvider].map((provider) => [provider.id, provider]));
+
+export function registerContentProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+export function getContentProviders() {
+    return Array.from(providers.values()).map(({ id, name }) => ({ id, name }));
+}
+
+// Returned in registration order, which decides whose copy of a duplicate place is kept
+export function getEnabledProviders() {
+    const saved = getPreference(PROVIDERS_KEY, null);
+    const ids = Array.isArray(saved) ? saved : DEFAULT_CONTENT_PROVIDERS;
+    const enabled = Array.from(providers.keys()).filter((id) => ids.includes(id));
+    return enabled.length > 0 ? enabled : [...DEFAULT_CONTENT_PROVIDERS];
+}
+
+export function setEnabledProviders(ids) {
+    setPreference(PROVIDERS_KEY, ids.filter((id) => providers.has(id)));
+}
+
+// Places saved before providers existed have no provider field, and they all came from Wikipedia
+function providerFor(place) {
+    const provider = providers.get(place.provider || wikipediaProvider.id);
+    if (!provider) throw new Error(`Unknown content provider: ${place.provider}`);
+    return provider;
+}
+
+// Search every enabled provider at once. One provider failing doesn't lose the others' places,
+// but if all of them fail the first error is passed on.
+export async function findNearbyPlaces(lat, lon, options = {}) {
+    const enabled = getEnabledProviders().map((id) => providers.get(id));
+    const results = await Promise.allSettled(enabled.map((provider) => provider.fetchNearby(lat, lon, options)));
+
+    const failures = results.filter((result) => result.status === 'rejected');
+    failures.forEach((result) => console.warn('contentProviders: search failed:', result.reason));
+    if (failures.length === results.length && failures.length > 0) {
+        throw failures[0].reason;
+    }
+
+    const places = results.flatMap((result) => result.status === 'fulfilled' ? result.value : []);
+    const merged = removeDuplicates(places).sort((a, b) => a.dist - b.dist);
+    return options.limit ? merged.slice(0, options.limit) : merged;
+}
+
+// The same sight often appears in more than one source; keep the first provider's copy
+function removeDuplicates(places) {
+    const kept = [];
+    places.forEach((place) => {
+        const name = place.title.trim().toLowerCase();
+        const duplicate = kept.some((other) =>
+            other.provider !== place.provider &&
+            other.title.trim().toLowerCase() === name &&
+            calculateDistance(other.lat, other.lon, place.lat, place.lon) <= DUPLICATE_PLACE_DISTANCE_METERS
+        );
+        if (!duplicate) kept.push(place);
+    });
+    return kept;
+}
+
+export function fetchPlaceNarration(place) {
+    return providerFor(place).fetchNarration(place);
+}
+
+export async function fetchPlaceSections(place) {
+    const provider = providerFor(place);
+    if (provider.fetchSections) return provider.fetchSections(place);
+
+    const text = await provider.fetchNarration(place);
+    return text ? [{ title: '', text }] : [];
+}
+
+export function fetchPlaceSnippet(place) {
+    return providerFor(place).fetchSnippet(place);
+}
+
+export async function fetchPlaceImages(places) {
+    return mergeByProvider(places, (provider, group) => provider.fetchImages(group));
+}
+
+export async function fetchPlaceClasses(places, classIds) {
+    return mergeByProvider(places, (provider, group) =>
+        provider.fetchClasses ? provider.fetchClasses(group, classIds) : new Map()
+    );
+}
+
+export async function fetchPlaceImportance(places) {
+    return mergeByProvider(places, (provider, group) =>
+        provider.fetchImportance ? provider.fetchImportance(group) : new Map()
+    );
+}
+
+export async function fetchPlaceItem(place) {
+    const provider = providerFor(place);
+    return provider.fetchWikidataItem ? provider.fetchWikidataItem(place) : null;
+}
+
+export function placeUrl(place) {
+    return providerFor(place).placeUrl(place);
+}
+
+async function mergeByProvider(places, lookup) {
+    const merged = new Map();
+    const placesByProvider = new Map();
+    places.forEach((place) => {
+        const provider = providerFor(place);
+        if (!placesByProvider.has(provider)) placesByProvider.set(provider, []);
+        placesByProvider.get(provider).push(place);
+    });
+
+    for (const [provider, group] of placesByProvider) {
+        try {
+            const values = await lookup(provider, group);
+            values.forEach((value, key) => merged.set(key, value));
+        } catch (error) {
+            console.warn(`contentProviders: ${provider.id} lookup failed:`, error);
+        }
+    }
+
+    return merged;
+}
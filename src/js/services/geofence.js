@@ -0,0 +1,52 @@
+// Geofence tours: every place gets a trigger radius, wider for more notable places, and is read when
+// the walker steps inside it. Places walked past without being read are reported so they can be mentioned.
+import {
+    GEOFENCE_MIN_RADIUS_METERS,
+    GEOFENCE_MAX_RADIUS_METERS,
+    GEOFENCE_DEFAULT_IMPORTANCE,
+    GEOFENCE_PASSED_FACTOR,
+    GEOFENCE_LEAVING_METERS
+} from '../config.js';
+import { fetchPlaceImportance } from './contentProviders.js';
+
+export function triggerRadius(importance) {
+    return Math.round(GEOFENCE_MIN_RADIUS_METERS + importance * (GEOFENCE_MAX_RADIUS_METERS - GEOFENCE_MIN_RADIUS_METERS));
+}
+
+// Sets `triggerRadius` on each place
+export async function assignTriggerRadii(places) {
+    let importance = new Map();
+    try {
+        importance = await fetchPlaceImportance(places);
+    } catch (error) {
+        console.warn('geofence: could not rank places, using one radius for all:', error);
+    }
+
+    places.forEach((place) => {
+        place.triggerRadius = triggerRadius(importance.get(place.key) ?? GEOFENCE_DEFAULT_IMPORTANCE);
+    });
+    return places;
+}
+
+// Looks at places not yet visited, given their `currentDist`. Returns the nearest one the walker is
+// inside, if any, and the ones they came close to but are now walking away from.
+export function checkGeofences(places, { visited, skip = () => false }) {
+    let arrived = null;
+    const passed = [];
+
+    places.forEach((place) => {
+        if (visited.has(place.key) || skip(place) || place.currentDist == null) return;
+
+        place.closestDist = Math.min(place.closestDist ?? Infinity, place.currentDist);
+        const radius = place.triggerRadius ?? GEOFENCE_MIN_RADIUS_METERS;
+
+        if (place.currentDist <= radius) {
+            if (!arrived || place.currentDist < arrived.currentDist) arrived = place;
+        } else if (place.closestDist <= radius * GEOFENCE_PASSED_FACTOR &&
+            place.currentDist >= place.closestDist + GEOFENCE_LEAVING_METERS) {
+            passed.push(place);
+        }
+    });
+
+    return { arrived, passed };
+}
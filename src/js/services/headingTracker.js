@@ -0,0 +1,82 @@
+// Works out which way the walker is facing, so places can be described as ahead, behind, left or right.
+// Movement between fixes is preferred; the device compass covers standing still.
+import { HEADING_MIN_DISTANCE_METERS, HEADING_MAX_AGE_MS } from '../config.js';
+import { calculateDistance, calculateBearing } from '../utils/geo.js';
+
+let movementHeading = null;
+let compassHeading = null;
+let anchor = null; // Last position a movement heading was measured from
+let isListeningToCompass = false;
+
+export function updateHeadingFromPosition(position) {
+    const { latitude, longitude, heading } = position.coords;
+    const here = { lat: latitude, lon: longitude };
+
+    // Browsers report a heading only while moving; NaN or null otherwise
+    if (Number.isFinite(heading)) {
+        movementHeading = { degrees: heading, time: Date.now() };
+        anchor = here;
+        return;
+    }
+
+    if (!anchor) {
+        anchor = here;
+        return;
+    }
+
+    if (calculateDistance(anchor.lat, anchor.lon, here.lat, here.lon) >= HEADING_MIN_DISTANCE_METERS) {
+        movementHeading = {
+            degrees: calculateBearing(anchor.lat, anchor.lon, here.lat, here.lon),
+            time: Date.now()
+        };
+        anchor = here;
+    }
+}
+
+// Must be called from a user gesture: iOS asks permission before sharing orientation
+export function startCompassTracking() {
+    if (isListeningToCompass || typeof window.DeviceOrientationEvent === 'undefined') return;
+    isListeningToCompass = true;
+
+    const listen = () => {
+        window.addEventListener('deviceorientationabsolute', onOrientation);
+        window.addEventListener('deviceorientation', onOrientation);
+    };
+
+    if (typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+        window.DeviceOrientationEvent.requestPermission()
+            .then((state) => {
+                if (state === 'granted') listen();
+            })
+            .catch(() => {});
+    } else {
+        listen();
+    }
+}
+
+function onOrientation(event) {
+    let degrees = null;
+    if (Number.isFinite(event.webkitCompassHeading)) {
+        // iOS reports the compass heading directly
+        degrees = event.webkitCompassHeading;
+    } else if (event.absolute && Number.isFinite(event.alpha)) {
+        // alpha turns anticlockwise from north
+        degrees = (360 - event.alpha) % 360;
+    }
+
+    if (degrees !== null) {
+        compassHeading = { degrees, time: Date.now() };
+    }
+}
+
+// Heading in degrees clockwise from north, or null when it isn't known
+export function getHeading() {
+    const now = Date.now();
+    if (movementHeading && now - movementHeading.time <= HEADING_MAX_AGE_MS) {
+        return movementHeading.degrees;
+    }
+    if (compassHeading && now - compassHeading.time <= HEADING_MAX_AGE_MS) {
+        return compassHeading.degrees;
+    }
+    return null;
+}
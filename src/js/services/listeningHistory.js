@@ -0,0 +1,85 @@
+// Persisted record of places the user has already heard, keyed by article key (edition + pageid)
+import { HISTORY_MAX_ENTRIES } from '../config.js';
+import { getPreference, setPreference } from './preferences.js';
+
+const HISTORY_KEY = 'listeningHistory';
+
+let entries = null;
+const listeners = new Set();
+
+function load() {
+    if (!entries) {
+        const saved = getPreference(HISTORY_KEY, {});
+        entries = saved && typeof saved === 'object' ? saved : {};
+    }
+    return entries;
+}
+
+function save() {
+    const all = Object.values(load());
+    // Keep the most recently heard places when the history outgrows its limit
+    if (all.length > HISTORY_MAX_ENTRIES) {
+        all.sort((a, b) => b.lastHeardAt - a.lastHeardAt)
+            .slice(HISTORY_MAX_ENTRIES)
+            .forEach((entry) => delete entries[entry.key]);
+    }
+    setPreference(HISTORY_KEY, entries);
+    listeners.forEach((listener) => listener(getHistory()));
+}
+
+export function recordHeard(article) {
+    if (!article || !article.key) return;
+
+    const history = load();
+    const now = Date.now();
+    const existing = history[article.key];
+
+    history[article.key] = {
+        key: article.key,
+        provider: article.provider,
+        pageid: article.pageid,
+        lang: article.lang,
+        title: article.title,
+        lat: article.lat,
+        lon: article.lon,
+        firstHeardAt: existing ? existing.firstHeardAt : now,
+        lastHeardAt: now,
+        count: existing ? existing.count + 1 : 1
+    };
+    save();
+}
+
+export function hasHeard(key) {
+    return Boolean(load()[key]);
+}
+
+// Most recently heard first
+export function getHistory() {
+    return Object.values(load()).sort((a, b) => b.lastHeardAt - a.lastHeardAt);
+}
+
+export function removeHistoryEntry(key) {
+    if (!load()[key]) return;
+    delete entries[key];
+    save();
+}
+
+export function clearHistory() {
+    entries = {};
+    save();
+}
+
+export function onHistoryChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// 'downrank' moves places heard before to the end of the queue, keeping the order within each group.
+// 'skip' leaves the order alone; the player passes over heard places when it advances.
+export function rankByHistory(articles, policy) {
+    if (policy !== 'downrank') return articles;
+
+    const unheard = articles.filter((article) => !hasHeard(article.key));
+    const heard = articles.filter((article) => hasHeard(article.key));
+    return [...unheard, ...heard];
+}
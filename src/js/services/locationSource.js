@@ -0,0 +1,116 @@
+// Position sources for the tour. Every source has the same shape as a geolocation watch:
+// start(onSuccess, onError) begins delivering position objects, stop() ends it.
+// The simulated sources build positions that look like real GeolocationPosition fixes,
+// so the rest of the app can't tell them apart.
+import { REPLAY_WALKING_SPEED_MPS } from '../config.js';
+import { calculateDistance, calculateBearing } from '../utils/geo.js';
+
+export function createGeolocationSource() {
+    let watchId = null;
+
+    return {
+        name: 'gps',
+        start(onSuccess, onError) {
+            watchId = navigator.geolocation.watchPosition(
+                onSuccess,
+                onError,
+                { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+            );
+        },
+        stop() {
+            if (watchId !== null) {
+                navigator.geolocation.clearWatch(watchId);
+                watchId = null;
+            }
+        }
+    };
+}
+
+// Plays back a recorded or planned track. Points with timestamps keep their original pacing,
+// otherwise the track is walked at a steady pace. `speed` multiplies either.
+// Fix timestamps follow the simulated clock, so anything timed off them speeds up with the replay.
+export function createReplaySource(track, options = {}) {
+    let speed = options.speed ?? 1;
+    let timerId = null;
+    let index = 0;
+    let simulatedTime = 0;
+    let handler = null;
+
+    const emitNext = () => {
+        const point = track[index];
+        const previous = track[index - 1];
+        handler(makePosition(point.lat, point.lon, previous, simulatedTime));
+
+        index++;
+        if (index >= track.length) {
+            timerId = null;
+            if (options.onEnd) options.onEnd();
+            return;
+        }
+        const delay = delayBetween(track[index - 1], track[index]);
+        simulatedTime += delay;
+        timerId = setTimeout(emitNext, delay / speed);
+    };
+
+    return {
+        name: 'replay',
+        start(onSuccess) {
+            handler = onSuccess;
+            index = 0;
+            simulatedTime = Date.now();
+            emitNext();
+        },
+        stop() {
+            clearTimeout(timerId);
+            timerId = null;
+        },
+        setSpeed(value) {
+            speed = value;
+        }
+    };
+}
+
+// Stays wherever it is told to be; every teleport is delivered as a new fix
+export function createManualSource(initial = null) {
+    let current = initial;
+    let handler = null;
+
+    return {
+        name: 'manual',
+        start(onSuccess) {
+            handler = onSuccess;
+            if (current) handler(makePosition(current.lat, current.lon));
+        },
+        stop() {
+            handler = null;
+        },
+        teleport(lat, lon) {
+            const previous = current;
+            current = { lat, lon };
+            if (handler) handler(makePosition(lat, lon, previous));
+        }
+    };
+}
+
+function delayBetween(from, to) {
+    if (from.time && to.time && to.time > from.time) {
+        return to.time - from.time;
+    }
+    const meters = calculateDistance(from.lat, from.lon, to.lat, to.lon);
+    return (meters / REPLAY_WALKING_SPEED_MPS) * 1000;
+}
+
+function makePosition(lat, lon, previous = null, timestamp = Date.now()) {
+    return {
+        coords: {
+            latitude: lat,
+            longitude: lon,
+            accuracy: 5,
+            altitude: null,
+            altitudeAccuracy: null,
+            heading: previous ? calculateBearing(previous.lat, previous.lon, lat, lon) : null,
+            speed: null
+        },
+        timestamp
+    };
+}
@@ -0,0 +1,78 @@
+// A short spoken lead built from the place's Wikidata item, e.g. "This is a Grade I listed church,
+// built in 1240, designed by Henry Yevele." Wikipedia intros often leave these basics until later.
+import { FACT_INTRO_TIMEOUT_MS } from '../config.js';
+import { fetchPlaceItem } from './contentProviders.js';
+import { fetchWikidataFacts } from './wikiApi.js';
+
+// The sentences are English, so other editions are narrated without them
+const INTRO_LANGUAGES = ['en'];
+// Wikidata returns the bare item id for anything without an English label
+const UNLABELLED = /^Q\d+$/;
+
+// Resolves to '' rather than failing or holding up the narration
+export async function fetchFactIntro(place) {
+    if (!INTRO_LANGUAGES.includes(place.lang)) return '';
+
+    let timeoutId = null;
+    const timeout = new Promise((resolve) => {
+        timeoutId = setTimeout(() => resolve(''), FACT_INTRO_TIMEOUT_MS);
+    });
+    const lookup = (async () => {
+        const item = await fetchPlaceItem(place);
+        return item ? describeFacts(await fetchWikidataFacts(item), place.themes) : '';
+    })();
+
+    try {
+        return await Promise.race([lookup, timeout]);
+    } catch (error) {
+        console.warn('placeFacts: could not build intro for', place.title, error);
+        return '';
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// `themes` are the place's, from themes.js, and decide whether it was built or just dates from the year
+export function describeFacts(facts, themes = []) {
+    const labelled = (labels) => labels.filter((label) => !UNLABELLED.test(label));
+    const kind = labelled(facts.classes).map((label) => label.replace(/ building$/, ''))[0];
+    if (!kind) return '';
+
+    // "Grade I listed building" folds into the noun; other designations get a sentence of their own
+    const heritage = labelled(facts.heritage)[0];
+    const listed = heritage && /listed building$/i.test(heritage) ? heritage.replace(/ building$/i, '') : null;
+    const clauses = [`This is ${withArticle(listed ? `${listed} ${kind}` : kind)}`];
+
+    const year = earliestYear(facts.inception);
+    if (year) {
+        const built = themes.includes('architecture');
+        clauses.push(`${built ? 'built in' : 'dating from'} ${year}`);
+    }
+
+    const architects = labelled(facts.architects).slice(0, 2);
+    if (architects.length) clauses.push(`designed by ${architects.join(' and ')}`);
+
+    const height = Math.max(0, ...facts.heights);
+    if (height >= 1) clauses.push(`${Math.round(height)} metres tall`);
+
+    let intro = `${clauses.join(', ')}.`;
+    if (heritage && !listed) intro += ` It is protected as ${withArticle(heritage)}.`;
+    return intro;
+}
+
+// Wikidata dates look like "1240-01-01T00:00:00Z", or "-0500-01-01T00:00:00Z" for 500 BC
+function earliestYear(dates) {
+    const years = dates
+        .map((date) => /^(-?)0*(\d+)-/.exec(date))
+        .filter(Boolean)
+        .map(([, sign, digits]) => (sign ? -1 : 1) * Number(digits));
+    if (years.length === 0) return null;
+
+    const year = Math.min(...years);
+    return year < 0 ? `${-year} BC` : String(year);
+}
+
+function withArticle(noun) {
+    const vowelSound = /^[aeiou]/i.test(noun) && !/^(uni|eu|one)/i.test(noun);
+    return `${vowelSound ? 'an' : 'a'} ${noun}`;
+}
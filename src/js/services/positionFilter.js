@@ -0,0 +1,65 @@
+// Smooths GPS fixes with a simple Kalman filter, weighting each one by its reported accuracy, so a single
+// stray fix near tall buildings only nudges the position instead of moving it. Fixes much worse than
+// recent ones are dropped altogether.
+import {
+    GPS_MAX_ACCURACY_METERS,
+    GPS_POOR_FIX_GRACE_MS,
+    GPS_PROCESS_NOISE_MPS,
+    GPS_JUMP_RESET_METERS
+} from '../config.js';
+import { calculateDistance } from '../utils/geo.js';
+
+let estimate = null; // { lat, lon, variance, time }, variance in square metres
+let lastGoodFixTime = -Infinity;
+
+// Returns a position shaped like the browser's, at the smoothed location and with the filter's own accuracy,
+// or null when the fix should be ignored
+export function filterPosition(position) {
+    const { latitude, longitude, accuracy: reported, speed } = position.coords;
+    const time = position.timestamp || Date.now();
+    const accuracy = Number.isFinite(reported) ? Math.max(reported, 1) : GPS_MAX_ACCURACY_METERS;
+
+    if (accuracy <= GPS_MAX_ACCURACY_METERS) {
+        lastGoodFixTime = time;
+    } else if (estimate && time - lastGoodFixTime < GPS_POOR_FIX_GRACE_MS) {
+        return null;
+    }
+
+    if (!estimate || calculateDistance(estimate.lat, estimate.lon, latitude, longitude) > GPS_JUMP_RESET_METERS) {
+        estimate = { lat: latitude, lon: longitude, variance: accuracy * accuracy, time };
+    } else {
+        // The longer since the last fix, and the faster you're going, the less the old estimate is worth
+        const noise = Math.max(Number.isFinite(speed) ? speed : 0, GPS_PROCESS_NOISE_MPS);
+        const seconds = Math.max(time - estimate.time, 0) / 1000;
+        const variance = estimate.variance + seconds * noise * noise;
+        const gain = variance / (variance + accuracy * accuracy);
+
+        estimate = {
+            lat: estimate.lat + gain * (latitude - estimate.lat),
+            lon: estimate.lon + gain * (longitude - estimate.lon),
+            variance: (1 - gain) * variance,
+            time
+        };
+    }
+
+    // Coordinates objects from the browser don't spread, so copy the fields across
+    const { altitude, altitudeAccuracy, heading } = position.coords;
+    return {
+        coords: {
+            latitude: estimate.lat,
+            longitude: estimate.lon,
+            accuracy: Math.sqrt(estimate.variance),
+            altitude,
+            altitudeAccuracy,
+            heading,
+            speed
+        },
+        timestamp: time
+    };
+}
+
+// Start again, e.g. when positions start coming from a different source
+export function resetPositionFilter() {
+    estimate = null;
+    lastGoodFixTime = -Infinity;
+}
@@ -0,0 +1,27 @@
+// Small wrapper around localStorage for user preferences.
+// Values are stored as JSON under a shared prefix so they don't collide with other apps on the origin.
+
+const STORAGE_PREFIX = 'walkingTour.';
+
+export function getPreference(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn('Preferences: could not read', key, error);
+        return fallback;
+    }
+}
+
+export function setPreference(key, value) {
+    try {
+        writePreference(key, value);
+    } catch (error) {
+        console.warn('Preferences: could not save', key, error);
+    }
+}
+
+// Like setPreference, but throws when the value can't be stored, e.g. with a QuotaExceededError
+export function writePreference(key, value) {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+}
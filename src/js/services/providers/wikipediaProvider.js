@@ -0,0 +1,59 @@
+// Wikipedia articles with coordinates: the original source of places, narrated from the article's lead
+import {
+    fetchNearbyArticles,
+    fetchArticleExtract,
+    fetchArticleSections,
+    fetchArticleSnippet,
+    fetchArticleImages,
+    fetchArticleClasses,
+    fetchArticleItems,
+    fetchArticleLengths,
+    articleUrl
+} from '../wikiApi.js';
+
+// Article length on a log scale: a 1 kB stub scores 0 and a 100 kB article 1
+const MIN_LENGTH_LOG = 3;
+const MAX_LENGTH_LOG = 5;
+
+function lengthToImportance(length) {
+    const score = (Math.log10(length) - MIN_LENGTH_LOG) / (MAX_LENGTH_LOG - MIN_LENGTH_LOG);
+    return Math.min(1, Math.max(0, score));
+}
+
+// Page ids are per edition, so batch lookups run once for each language and are keyed back by article key
+async function byLanguage(articles, lookup) {
+    const result = new Map();
+    const articlesByLang = new Map();
+    articles.forEach((article) => {
+        if (!articlesByLang.has(article.lang)) articlesByLang.set(article.lang, []);
+        articlesByLang.get(article.lang).push(article);
+    });
+
+    for (const [lang, group] of articlesByLang) {
+        const values = await lookup(group.map((article) => article.pageid), { lang });
+        group.forEach((article) => {
+            if (values.has(article.pageid)) result.set(article.key, values.get(article.pageid));
+        });
+    }
+
+    return result;
+}
+
+export const wikipediaProvider = {
+    id: 'wikipedia',
+    name: 'Wikipedia',
+    fetchNearby: (lat, lon, options) => fetchNearbyArticles(lat, lon, options),
+    fetchNarration: (article) => fetchArticleExtract(article.pageid, { lang: article.lang }),
+    fetchSections: (article) => fetchArticleSections(article.pageid, { lang: article.lang }),
+    fetchSnippet: (article) => fetchArticleSnippet(article.pageid, { lang: article.lang }),
+    fetchImages: (articles) => byLanguage(articles, fetchArticleImages),
+    fetchClasses: (articles, classIds) =>
+        byLanguage(articles, (pageids, options) => fetchArticleClasses(pageids, { ...options, classIds })),
+    fetchImportance: async (articles) => {
+        const lengths = await byLanguage(articles, fetchArticleLengths);
+        return new Map(Array.from(lengths, ([key, length]) => [key, lengthToImportance(length)]));
+    },
+    fetchWikidataItem: async (article) =>
+        (await fetchArticleItems([article.pageid], { lang: article.lang })).get(article.pageid) || null,
+    placeUrl: articleUrl
+};
@@ -0,0 +1,239 @@
+// Wikivoyage "See" listings: the sights travel writers pick out in each destination guide.
+// Guides near the user are found by geosearch, then their {{see}} and {{listing|type=see}} templates
+// are read for a name, coordinates and a short description.
+import { WIKIVOYAGE_PAGE_LIMIT, WIKIVOYAGE_PAGE_RADIUS_METERS, FALLBACK_LANGUAGE } from '../../config.js';
+import { fetchJson, fetchWikidataClasses, geosearchCoord } from '../wikiApi.js';
+import { calculateDistance } from '../../utils/geo.js';
+
+const LISTING_START = /\{\{\s*(see|listing)\s*\|/gi;
+const IMAGE_WIDTH = 300;
+
+function apiBase(lang) {
+    return `https://${lang}.wikivoyage.org/w/api.php?`;
+}
+
+async function fetchNearby(lat, lon, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+    const radius = options.radius ?? WIKIVOYAGE_PAGE_RADIUS_METERS;
+    const limit = options.limit ?? 10;
+
+    // A guide's own coordinates are the middle of its town, so guides are searched for further out than listings
+    const pages = await fetchGeosearch(lat, lon, Math.max(radius, WIKIVOYAGE_PAGE_RADIUS_METERS), lang);
+    if (pages.length === 0) return [];
+
+    const listings = await fetchListings(pages.map((page) => page.pageid), lang);
+    return listings
+        .map((listing) => ({ ...listing, dist: calculateDistance(lat, lon, listing.lat, listing.lon) }))
+        .filter((listing) => listing.dist <= radius)
+        .sort((a, b) => a.dist - b.dist)
+        .slice(0, limit);
+}
+
+async function fetchGeosearch(lat, lon, radius, lang) {
+    const url = apiBase(lang) +
+        `action=query&` +
+        `list=geosearch&` +
+        `gscoord=${geosearchCoord(lat, lon)}&` +
+        `gsradius=${Math.min(radius, 10000)}&` +
+        `gslimit=${WIKIVOYAGE_PAGE_LIMIT}&` +
+        `format=json&` +
+        `origin=*`;
+
+    const data = await fetchJson(url);
+    return (data.query && data.query.geosearch) || [];
+}
+
+async function fetchListings(pageids, lang) {
+    const url = apiBase(lang) +
+        `action=query&` +
+        `prop=revisions&` +
+        `rvprop=content&` +
+        `rvslots=main&` +
+        `pageids=${pageids.join('|')}&` +
+        `formatversion=2&` +
+        `format=json&` +
+        `origin=*`;
+
+    const data = await fetchJson(url);
+    if (!data.query || !data.query.pages) return [];
+
+    return data.query.pages.flatMap((page) => {
+        const revision = page.revisions && page.revisions[0];
+        const wikitext = revision && revision.slots && revision.slots.main && revision.slots.main.content;
+        return wikitext ? parseSeeListings(wikitext, page, lang) : [];
+    });
+}
+
+function parseSeeListings(wikitext, page, lang) {
+    const listings = [];
+    const seen = new Set();
+
+    for (const match of wikitext.matchAll(LISTING_START)) {
+        const body = templateBody(wikitext, match.index);
+        if (!body) continue;
+
+        const [name, ...params] = splitTopLevel(body);
+        const fields = {};
+        params.forEach((param) => {
+            const equals = param.indexOf('=');
+            if (equals > 0) fields[param.slice(0, equals).trim().toLowerCase()] = param.slice(equals + 1).trim();
+        });
+
+        const isSee = name.trim().toLowerCase() === 'see' || (fields.type || '').toLowerCase() === 'see';
+        const title = stripWikitext(fields.name || '');
+        const lat = parseFloat(fields.lat);
+        const lon = parseFloat(fields.long ?? fields.lon);
+        if (!isSee || !title || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+        const key = `wikivoyage:${lang}:${page.pageid}:${title.toLowerCase()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        listings.push({
+            key,
+            provider: 'wikivoyage',
+            pageid: page.pageid,
+            pageTitle: page.title,
+            lang,
+            title,
+            lat,
+            lon,
+            description: stripWikitext(fields.content || fields.description || ''),
+            image: fields.image || null,
+            wikidata: /^Q\d+$/.test(fields.wikidata || '') ? fields.wikidata : null
+        });
+    }
+
+    return listings;
+}
+
+// The text between a template's outer braces, allowing for templates nested inside it
+function templateBody(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        if (pair === '{{') {
+            depth++;
+            i++;
+        } else if (pair === '}}') {
+            depth--;
+            i++;
+            if (depth === 0) return text.slice(start + 2, i - 1);
+        }
+    }
+    return null;
+}
+
+// Split template parameters on "|", except inside nested templates and links
+function splitTopLevel(body) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < body.length; i++) {
+        const pair = body.slice(i, i + 2);
+        if (pair === '{{' || pair === '[[') {
+            depth++;
+            current += pair;
+            i++;
+        } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+            depth--;
+            current += pair;
+            i++;
+        } else if (body[i] === '|' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += body[i];
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function stripWikitext(text) {
+    let plain = text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<ref[^>]*\/>/g, '')
+        .replace(/<ref[\s\S]*?<\/ref>/g, '');
+
+    // Innermost templates first, until none are left
+    let previous;
+    do {
+        previous = plain;
+        plain = plain.replace(/\{\{[^{}]*\}\}/g, '');
+    } while (plain !== previous);
+
+    return plain
+        .replace(/\[\[(?:[^|\]]*\|)?([^\]]+)\]\]/g, '$1')
+        .replace(/\[https?:\/\/\S+\s([^\]]+)\]/g, '$1')
+        .replace(/\[https?:\/\/\S+\]/g, '')
+        .replace(/'{2,}/g, '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Listings replayed from the history only have their key, so their guide is read again to find them
+async function findListing(article) {
+    if (article.description !== undefined) return article;
+    const listings = await fetchListings([article.pageid], article.lang);
+    return listings.find((listing) => listing.key === article.key) || null;
+}
+
+async function fetchNarration(article) {
+    const listing = await findListing(article);
+    return listing && listing.description ? listing.description : null;
+}
+
+async function fetchSnippet(article) {
+    const text = await fetchNarration(article);
+    if (!text) return null;
+    const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+    return sentences.slice(0, 2).join('').trim();
+}
+
+async function fetchImages(articles) {
+    const images = new Map();
+    for (const article of articles) {
+        const listing = await findListing(article);
+        if (listing && listing.image) {
+            const file = listing.image.replace(/^(File|Image):/i, '');
+            images.set(article.key, 'https://commons.wikimedia.org/wiki/Special:FilePath/' +
+                `${encodeURIComponent(file)}?width=${IMAGE_WIDTH}`);
+        }
+    }
+    return images;
+}
+
+// Listings that name their Wikidata item get the same theme classes as Wikipedia articles
+async function fetchClasses(articles, classIds) {
+    const withItems = articles.filter((article) => article.wikidata);
+    const itemClasses = await fetchWikidataClasses(withItems.map((article) => article.wikidata), classIds);
+    const classes = new Map();
+    withItems.forEach((article) => {
+        if (itemClasses.has(article.wikidata)) classes.set(article.key, itemClasses.get(article.wikidata));
+    });
+    return classes;
+}
+
+async function fetchWikidataItem(article) {
+    const listing = await findListing(article);
+    return listing ? listing.wikidata : null;
+}
+
+function placeUrl(article) {
+    const lang = article.lang || FALLBACK_LANGUAGE;
+    return `https://${lang}.wikivoyage.org/?curid=${article.pageid}`;
+}
+
+export const wikivoyageProvider = {
+    id: 'wikivoyage',
+    name: 'Wikivoyage sights',
+    fetchNearby,
+    fetchNarration,
+    fetchSnippet,
+    fetchImages,
+    fetchClasses,
+    fetchWikidataItem,
+    placeUrl
+};
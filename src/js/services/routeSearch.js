@@ -0,0 +1,38 @@
+// Finds places within a corridor either side of a planned route by searching
+// at points spaced along the line, then orders them by how far along the route they are
+import { ROUTE_SEARCH_LIMIT } from '../config.js';
+import { findNearbyPlaces } from './contentProviders.js';
+import { samplePolyline, projectOntoPolyline } from '../utils/geo.js';
+
+export async function fetchArticlesAlongRoute(line, options = {}) {
+    const corridor = options.corridor ?? 150;
+    const lang = options.lang;
+    const onProgress = options.onProgress ?? (() => {});
+
+    // Circles of this radius spaced `spacing` apart cover the whole corridor without gaps
+    const spacing = corridor * 4 / 3;
+    const radius = Math.ceil(Math.sqrt(corridor * corridor + (spacing / 2) * (spacing / 2)));
+    const samples = samplePolyline(line, spacing);
+
+    const found = new Map();
+    for (let i = 0; i < samples.length; i++) {
+        onProgress({ done: i, total: samples.length });
+        const results = await findNearbyPlaces(samples[i].lat, samples[i].lon, {
+            radius,
+            limit: ROUTE_SEARCH_LIMIT,
+            lang
+        });
+        results.forEach((article) => {
+            if (!found.has(article.key)) found.set(article.key, article);
+        });
+    }
+    onProgress({ done: samples.length, total: samples.length });
+
+    return Array.from(found.values())
+        .map((article) => {
+            const projection = projectOntoPolyline(article.lat, article.lon, line);
+            return { ...article, alongTrack: projection.alongTrack, crossTrack: projection.distance };
+        })
+        .filter((article) => article.crossTrack <= corridor)
+        .sort((a, b) => a.alongTrack - b.alongTrack);
+}
@@ -0,0 +1,142 @@
+// Tour settings that can be changed while the app is running. Defaults come from config.js,
+// the user's changes are saved in localStorage, and URL parameters override both for one visit,
+// e.g. ?radius=2000&places=20&interval=10&debug=1
+import {
+    DEFAULT_DEBUG_ENABLED,
+    DEFAULT_SEARCH_RADIUS_METERS,
+    MAX_SEARCH_RADIUS_METERS,
+    DEFAULT_NEARBY_CANDIDATE_LIMIT,
+    DEFAULT_NEARBY_ARTICLE_LIMIT,
+    DEFAULT_LOCATION_CHECK_INTERVAL_MS,
+    DEFAULT_ARTICLE_SWITCH_THRESHOLD_METERS,
+    DEFAULT_ARTICLE_PAUSE_MS
+} from '../config.js';
+import { getPreference, setPreference } from './preferences.js';
+
+const SETTINGS_KEY = 'settings';
+
+// Numbers are stored in the units the code uses; `scale` converts them to the units shown and read from the URL
+export const SETTINGS_SCHEMA = {
+    searchRadiusMeters: {
+        type: 'number', default: DEFAULT_SEARCH_RADIUS_METERS, min: 100, max: MAX_SEARCH_RADIUS_METERS, step: 100,
+        label: 'Search radius', unit: 'm', param: 'radius'
+    },
+    searchLimit: {
+        type: 'number', default: DEFAULT_NEARBY_CANDIDATE_LIMIT, min: 1, max: 500, step: 1,
+        label: 'Places searched', param: 'limit'
+    },
+    tourLength: {
+        type: 'number', default: DEFAULT_NEARBY_ARTICLE_LIMIT, min: 1, max: 100, step: 1,
+        label: 'Places queued', param: 'places'
+    },
+    locationCheckIntervalMs: {
+        type: 'number', default: DEFAULT_LOCATION_CHECK_INTERVAL_MS, min: 5000, max: 600000, step: 1000,
+        label: 'Check location every', unit: 's', scale: 1000, param: 'interval'
+    },
+    articleSwitchThresholdMeters: {
+        type: 'number', default: DEFAULT_ARTICLE_SWITCH_THRESHOLD_METERS, min: 10, max: 2000, step: 10,
+        label: 'Switch when a place is nearer by', unit: 'm', param: 'switch'
+    },
+    articlePauseMs: {
+        type: 'number', default: DEFAULT_ARTICLE_PAUSE_MS, min: 0, max: 60000, step: 500,
+        label: 'Pause between places', unit: 's', scale: 1000, param: 'pause'
+    },
+    debugEnabled: {
+        type: 'boolean', default: DEFAULT_DEBUG_ENABLED,
+        label: 'Show debug panel', param: 'debug'
+    }
+};
+
+let saved = null;
+let urlOverrides = null;
+const listeners = new Set();
+
+// Returns the value made safe for the schema, or undefined if it can't be used at all
+export function validateSetting(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return undefined;
+
+    if (schema.type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (['1', 'true', 'on', 'yes'].includes(String(value).toLowerCase())) return true;
+        if (['0', 'false', 'off', 'no'].includes(String(value).toLowerCase())) return false;
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+    return Math.min(schema.max, Math.max(schema.min, number));
+}
+
+function loadSaved() {
+    if (!saved) {
+        const stored = getPreference(SETTINGS_KEY, {});
+        saved = {};
+        Object.entries(stored && typeof stored === 'object' ? stored : {}).forEach(([key, value]) => {
+            const valid = validateSetting(key, value);
+            if (valid !== undefined) saved[key] = valid;
+        });
+    }
+    return saved;
+}
+
+function loadUrlOverrides() {
+    if (!urlOverrides) {
+        urlOverrides = {};
+        const params = new URLSearchParams(window.location.search);
+        Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+            if (!params.has(schema.param)) return;
+            const raw = params.get(schema.param);
+            const value = validateSetting(key, schema.scale ? Number(raw) * schema.scale : raw);
+            if (value !== undefined) {
+                urlOverrides[key] = value;
+            } else {
+                console.warn('Settings: ignoring URL parameter', schema.param, raw);
+            }
+        });
+    }
+    return urlOverrides;
+}
+
+export function getSetting(key) {
+    const overrides = loadUrlOverrides();
+    if (key in overrides) return overrides[key];
+    const stored = loadSaved();
+    return key in stored ? stored[key] : SETTINGS_SCHEMA[key]?.default;
+}
+
+export function getSettings() {
+    return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map((key) => [key, getSetting(key)]));
+}
+
+export function isSettingOverridden(key) {
+    return key in loadUrlOverrides();
+}
+
+// Saves a new value; a URL override for the same setting stops applying so the change takes effect
+export function setSetting(key, value) {
+    const valid = validateSetting(key, value);
+    if (valid === undefined) {
+        throw new Error(`Invalid value for ${key}: ${value}`);
+    }
+
+    loadSaved()[key] = valid;
+    delete loadUrlOverrides()[key];
+    setPreference(SETTINGS_KEY, saved);
+    listeners.forEach((listener) => listener(key, valid));
+    return valid;
+}
+
+export function resetSettings() {
+    saved = {};
+    urlOverrides = {};
+    setPreference(SETTINGS_KEY, saved);
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+        listeners.forEach((listener) => listener(key, getSetting(key)));
+    });
+}
+
+export function onSettingsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,174 @@
+// Sorts places into themes from their Wikidata classes, so the tour can favour the kinds of place
+// the user likes and leave out stations, streets, wards and companies
+import { DEFAULT_FAVOURED_THEMES, DEFAULT_EXCLUDED_THEMES } from '../config.js';
+import { getPreference, setPreference } from './preferences.js';
+import { fetchPlaceClasses } from './contentProviders.js';
+
+const THEMES_KEY = 'themes';
+
+// Wikidata classes for each theme. A place is in a theme when it's an instance (P31) of one of these
+// or of any subclass (P279) of one, so a parish church counts as a church in every language.
+const THEME_CLASSES = {
+    history: [
+        'Q23413', // castle
+        'Q57821', // fortification
+        'Q839954', // archaeological site
+        'Q109607', // ruins
+        'Q4989906', // monument
+        'Q5003624', // memorial
+        'Q35112127', // historic building
+        'Q16560', // palace
+        'Q160742', // abbey
+        'Q44613', // monastery
+        'Q879050', // manor house
+        'Q381885', // tomb
+        'Q39614', // cemetery
+        'Q16748868', // city walls
+        'Q82117', // city gate
+        'Q588140' // history museum
+    ],
+    architecture: [
+        'Q16970', // church building
+        'Q2977', // cathedral
+        'Q108325', // chapel
+        'Q32815', // mosque
+        'Q34627', // synagogue
+        'Q44539', // temple
+        'Q12518', // tower
+        'Q12280', // bridge
+        'Q16560', // palace
+        'Q23413', // castle
+        'Q3947', // house
+        'Q3950', // villa
+        'Q11303', // skyscraper
+        'Q39715', // lighthouse
+        'Q38720', // windmill
+        'Q185187' // watermill
+    ],
+    nature: [
+        'Q22698', // park
+        'Q1107656', // garden
+        'Q167346', // botanical garden
+        'Q179049', // nature reserve
+        'Q473972', // protected area
+        'Q23397', // lake
+        'Q131681', // reservoir
+        'Q4022', // river
+        'Q47521', // stream
+        'Q54050', // hill
+        'Q8502', // mountain
+        'Q4421', // forest
+        'Q40080', // beach
+        'Q23442', // island
+        'Q34038', // waterfall
+        'Q35509', // cave
+        'Q39816', // valley
+        'Q43501' // zoo
+    ],
+    art: [
+        'Q33506', // museum
+        'Q207694', // art museum
+        'Q1007870', // art gallery
+        'Q838948', // work of art
+        'Q179700', // statue
+        'Q860861', // sculpture
+        'Q557141', // public art
+        'Q219423', // mural
+        'Q483453', // fountain
+        'Q24354', // theatre
+        'Q153562', // opera house
+        'Q1060829', // concert hall
+        'Q41253' // movie theater
+    ],
+    transport: [
+        'Q55488', // railway station
+        'Q928830', // metro station
+        'Q2175765', // tram stop
+        'Q953806', // bus stop
+        'Q728937', // railway line
+        'Q1248784', // airport
+        'Q34442', // road
+        'Q79007', // street
+        'Q46622', // controlled-access highway
+        'Q1788454', // road junction
+        'Q6501349' // parking lot
+    ],
+    administrative: [
+        'Q15284', // municipality
+        'Q149621', // district
+        'Q211690', // London borough
+        'Q1115575', // civil parish
+        'Q28575', // county
+        'Q192611', // electoral unit
+        'Q783794', // company
+        'Q4830453', // business
+        'Q6881511', // enterprise
+        'Q431289' // brand
+    ]
+};
+
+// Every class a place is checked against
+const THEME_CLASS_IDS = [...new Set(Object.values(THEME_CLASSES).flat())];
+
+// Themes worth hearing about; a place in any of these is never excluded
+const INTERESTING_THEMES = ['history', 'architecture', 'nature', 'art'];
+
+export function getThemeSettings() {
+    const saved = getPreference(THEMES_KEY, null);
+    const valid = (list) => Array.isArray(list) ? list.filter((theme) => theme in THEME_CLASSES) : null;
+    return {
+        favour: (saved && valid(saved.favour)) || [...DEFAULT_FAVOURED_THEMES],
+        exclude: (saved && valid(saved.exclude)) || [...DEFAULT_EXCLUDED_THEMES]
+    };
+}
+
+export function setThemeSettings(settings) {
+    setPreference(THEMES_KEY, { favour: settings.favour, exclude: settings.exclude });
+}
+
+// `classes` are the theme classes a place was found to belong to
+export function themesForClasses(classes) {
+    return Object.keys(THEME_CLASSES).filter((theme) =>
+        THEME_CLASSES[theme].some((classId) => classes.includes(classId))
+    );
+}
+
+// Adds `themes` to each article. Places that couldn't be looked up get an empty list, so they're kept.
+export async function classifyArticles(articles) {
+    let classMap = new Map();
+    try {
+        classMap = await fetchPlaceClasses(articles, THEME_CLASS_IDS);
+    } catch (error) {
+        console.warn('themes: could not classify places:', error);
+    }
+
+    articles.forEach((article) => {
+        article.classes = classMap.get(article.key) || [];
+        article.themes = themesForClasses(article.classes);
+    });
+
+    return articles;
+}
+
+export function isExcluded(article, settings) {
+    const themes = article.themes || [];
+    return themes.some((theme) => settings.exclude.includes(theme)) &&
+        !themes.some((theme) => INTERESTING_THEMES.includes(theme));
+}
+
+export function isFavoured(article, settings) {
+    return (article.themes || []).some((theme) => settings.favour.includes(theme));
+}
+
+export function filterByThemes(articles, settings) {
+    return articles.filter((article) => !isExcluded(article, settings));
+}
+
+// Favoured places first, keeping the existing order within each group
+export function rankByThemes(articles, settings) {
+    if (settings.favour.length === 0) return articles;
+    return [
+        ...articles.filter((article) => isFavoured(article, settings)),
+        ...articles.filter((article) => !isFavoured(article, settings))
+    ];
+}
@@ -0,0 +1,135 @@
+// Downloads everything a tour needs for an area so it can run without a signal
+import { TOUR_PACK_MAX_ARTICLES } from '../config.js';
+import {
+    fetchNearbyArticles,
+    fetchArticleExtract,
+    fetchArticleSnippet,
+    fetchArticleImages
+} from './wikiApi.js';
+import { classifyArticles } from './themes.js';
+import { saveTourPack } from './tourPackStore.js';
+
+const DOWNLOAD_CONCURRENCY = 4;
+
+export async function downloadTourPack(area, onProgress = () => {}) {
+    const { lat, lon, radius, lang, name } = area;
+
+    if (navigator.onLine === false) {
+        throw new Error('Connect to the internet to download a tour pack');
+    }
+
+    // Ask the browser not to evict the pack when storage runs low
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+
+    onProgress({ stage: 'search', done: 0, total: 0 });
+    const articles = await fetchNearbyArticles(lat, lon, {
+        radius,
+        limit: TOUR_PACK_MAX_ARTICLES,
+        lang
+    });
+
+    if (articles.length === 0) {
+        throw new Error('No places found in this area');
+    }
+
+    // Classes are stored so theme filtering still works offline
+    await classifyArticles(articles);
+    const imageUrls = await fetchImageUrls(articles);
+    const packed = [];
+    let done = 0;
+
+    onProgress({ stage: 'articles', done, total: articles.length });
+
+    await runWithConcurrency(articles, DOWNLOAD_CONCURRENCY, async (article) => {
+        try {
+            const [extract, snippet, image] = await Promise.all([
+                fetchArticleExtract(article.pageid, { lang: article.lang }),
+                fetchArticleSnippet(article.pageid, { lang: article.lang }),
+                fetchImageBlob(imageUrls.get(article.key))
+            ]);
+
+            if (extract) {
+                packed.push({
+                    key: article.key,
+                    pageid: article.pageid,
+                    lang: article.lang,
+                    title: article.title,
+                    lat: article.lat,
+                    lon: article.lon,
+                    classes: article.classes,
+                    extract,
+                    snippet,
+                    image,
+                    imageUrl: imageUrls.get(article.key) || null
+                });
+            }
+        } catch (error) {
+            console.warn('TourPack: skipping', article.title, error);
+        }
+
+        done++;
+        onProgress({ stage: 'articles', done, total: articles.length });
+    });
+
+    const pack = {
+        id: `pack-${Date.now().toString(36)}`,
+        name: name || `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+        lat,
+        lon,
+        radius,
+        lang,
+        createdAt: Date.now(),
+        articleCount: packed.length
+    };
+
+    onProgress({ stage: 'save', done, total: articles.length });
+    await saveTourPack(pack, packed);
+
+    return pack;
+}
+
+async function fetchImageUrls(articles) {
+    const urls = new Map();
+    const langs = new Set(articles.map((article) => article.lang));
+
+    for (const lang of langs) {
+        const group = articles.filter((article) => article.lang === lang);
+        try {
+            const imageMap = await fetchArticleImages(group.map((article) => article.pageid), { lang });
+            group.forEach((article) => {
+                if (imageMap.has(article.pageid)) {
+                    urls.set(article.key, imageMap.get(article.pageid));
+                }
+            });
+        } catch (error) {
+            console.warn('TourPack: could not fetch image list for', lang, error);
+        }
+    }
+
+    return urls;
+}
+
+async function fetchImageBlob(url) {
+    if (!url) return null;
+
+    try {
+        const response = await fetch(url);
+        return response.ok ? await response.blob() : null;
+    } catch (error) {
+        console.warn('TourPack: could not download image', url, error);
+        return null;
+    }
+}
+
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
@@ -0,0 +1,97 @@
+// IndexedDB storage for offline tour packs.
+// A pack records the area it covers; its articles hold everything needed to narrate them without a signal.
+import { openDatabase, requestToPromise, transactionDone } from '../utils/idb.js';
+import { calculateDistance } from '../utils/geo.js';
+
+const DB_NAME = 'walking-tour-packs';
+const DB_VERSION = 1;
+const PACKS_STORE = 'packs';
+const ARTICLES_STORE = 'articles';
+
+let dbPromise = null;
+const imageUrls = new Map();
+
+function getDatabase() {
+    if (!dbPromise) {
+        dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+            db.createObjectStore(PACKS_STORE, { keyPath: 'id' });
+            const articles = db.createObjectStore(ARTICLES_STORE, { keyPath: ['packId', 'key'] });
+            articles.createIndex('byKey', 'key');
+            articles.createIndex('byPack', 'packId');
+        }).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+export async function saveTourPack(pack, articles) {
+    const db = await getDatabase();
+    const tx = db.transaction([PACKS_STORE, ARTICLES_STORE], 'readwrite');
+    tx.objectStore(PACKS_STORE).put(pack);
+    const articleStore = tx.objectStore(ARTICLES_STORE);
+    articles.forEach((article) => articleStore.put({ ...article, packId: pack.id }));
+    await transactionDone(tx);
+}
+
+export async function listTourPacks() {
+    const db = await getDatabase();
+    const packs = await requestToPromise(db.transaction(PACKS_STORE).objectStore(PACKS_STORE).getAll());
+    return packs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteTourPack(packId) {
+    const db = await getDatabase();
+    const tx = db.transaction([PACKS_STORE, ARTICLES_STORE], 'readwrite');
+    tx.objectStore(PACKS_STORE).delete(packId);
+    const keys = await requestToPromise(
+        tx.objectStore(ARTICLES_STORE).index('byPack').getAllKeys(packId)
+    );
+    keys.forEach((key) => tx.objectStore(ARTICLES_STORE).delete(key));
+    await transactionDone(tx);
+}
+
+// Articles from every pack whose area overlaps the search circle, nearest first
+export async function findPackedArticlesNear(lat, lon, radius, lang) {
+    const db = await getDatabase();
+    const packs = await listTourPacks();
+    const overlapping = packs.filter((pack) =>
+        calculateDistance(lat, lon, pack.lat, pack.lon) <= pack.radius + radius
+    );
+    // Prefer packs downloaded for the current language, but any pack beats nothing
+    const matchingLang = overlapping.filter((pack) => pack.lang === lang);
+    const candidates = matchingLang.length > 0 ? matchingLang : overlapping;
+
+    const byKey = new Map();
+    for (const pack of candidates) {
+        const articles = await requestToPromise(
+            db.transaction(ARTICLES_STORE).objectStore(ARTICLES_STORE).index('byPack').getAll(pack.id)
+        );
+        articles.forEach((article) => {
+            const dist = calculateDistance(lat, lon, article.lat, article.lon);
+            if (dist <= radius && !byKey.has(article.key)) {
+                byKey.set(article.key, { ...article, dist });
+            }
+        });
+    }
+
+    return Array.from(byKey.values()).sort((a, b) => a.dist - b.dist);
+}
+
+export async function getPackedArticle(key) {
+    const db = await getDatabase();
+    const matches = await requestToPromise(
+        db.transaction(ARTICLES_STORE).objectStore(ARTICLES_STORE).index('byKey').getAll(key)
+    );
+    return matches[0] || null;
+}
+
+// Object URLs for stored thumbnails are created once per article and reused
+export function getPackedImageUrl(article) {
+    if (!article || !article.image) return null;
+    if (!imageUrls.has(article.key)) {
+        imageUrls.set(article.key, URL.createObjectURL(article.image));
+    }
+    return imageUrls.get(article.key);
+}
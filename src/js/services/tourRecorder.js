@@ -0,0 +1,150 @@
+// Records the walked track and the places narrated along it, persisted so a tour survives a reload
+import {
+    RECORDING_MIN_DISTANCE_METERS,
+    RECORDING_MAX_POINTS,
+    RECORDING_NEW_SESSION_GAP_MS,
+    RECORDING_SAVE_EVERY_POINTS,
+    RECORDING_SAVE_INTERVAL_MS
+} from '../config.js';
+import { getPreference, writePreference } from './preferences.js';
+import { placeUrl } from './contentProviders.js';
+import { calculateDistance } from '../utils/geo.js';
+
+const RECORDING_KEY = 'tourRecording';
+
+let recording = null;
+let unsavedPoints = 0;
+let saveTimer = null;
+const listeners = new Set();
+
+function emptyRecording() {
+    return { startedAt: null, points: [], waypoints: [] };
+}
+
+function load() {
+    if (!recording) {
+        const saved = getPreference(RECORDING_KEY, null);
+        recording = saved && Array.isArray(saved.points) && Array.isArray(saved.waypoints) ?
+            saved : emptyRecording();
+    }
+    return recording;
+}
+
+function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    unsavedPoints = 0;
+    persist();
+    listeners.forEach((listener) => listener(getRecording()));
+}
+
+function persist() {
+    try {
+        writePreference(RECORDING_KEY, recording);
+    } catch (error) {
+        const outOfSpace = error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+        if (!outOfSpace || recording.points.length < 2) {
+            console.warn('TourRecorder: could not save the recording', error);
+            return;
+        }
+        // Out of storage: keep the whole walk at half the detail rather than none of it
+        recording.points = thinPoints(recording.points);
+        persist();
+    }
+}
+
+// Every save rewrites the whole track, so points arriving with each fix are saved in batches
+function saveSoon() {
+    unsavedPoints++;
+    if (unsavedPoints >= RECORDING_SAVE_EVERY_POINTS) {
+        save();
+    } else if (!saveTimer) {
+        saveTimer = setTimeout(save, RECORDING_SAVE_INTERVAL_MS);
+    }
+}
+
+// Save points still waiting for their batch, e.g. when the tour stops or the page is closed
+export function flushRecording() {
+    if (unsavedPoints > 0) save();
+}
+
+// Drops every other point, keeping the first and last
+function thinPoints(points) {
+    return points.filter((point, index) => index % 2 === 0 || index === points.length - 1);
+}
+
+function lastActivity(current) {
+    const lastPoint = current.points[current.points.length - 1];
+    const lastWaypoint = current.waypoints[current.waypoints.length - 1];
+    return Math.max(lastPoint ? lastPoint.time : 0, lastWaypoint ? lastWaypoint.time : 0);
+}
+
+// Called when a tour starts: carry on with a recent recording, or begin a new one
+export function beginRecording() {
+    const current = load();
+    const last = lastActivity(current);
+    if (!current.startedAt || (last && Date.now() - last > RECORDING_NEW_SESSION_GAP_MS)) {
+        recording = { ...emptyRecording(), startedAt: Date.now() };
+        save();
+    }
+}
+
+export function recordFix(position) {
+    const current = load();
+    if (!current.startedAt) return;
+
+    const { latitude, longitude, altitude, accuracy } = position.coords;
+    const last = current.points[current.points.length - 1];
+    if (last && calculateDistance(last.lat, last.lon, latitude, longitude) < RECORDING_MIN_DISTANCE_METERS) {
+        return;
+    }
+
+    current.points.push({
+        lat: latitude,
+        lon: longitude,
+        ele: Number.isFinite(altitude) ? altitude : null,
+        accuracy: Number.isFinite(accuracy) ? accuracy : null,
+        time: position.timestamp || Date.now()
+    });
+
+    // Thin out long recordings by dropping every other point rather than losing the start of the walk
+    if (current.points.length > RECORDING_MAX_POINTS) {
+        current.points = thinPoints(current.points);
+    }
+
+    saveSoon();
+}
+
+export function recordNarration(article) {
+    const current = load();
+    if (!current.startedAt || !article) return;
+
+    current.waypoints.push({
+        key: article.key,
+        title: article.title,
+        url: placeUrl(article),
+        lat: article.lat,
+        lon: article.lon,
+        time: Date.now()
+    });
+    save();
+}
+
+export function getRecording() {
+    const current = load();
+    return {
+        startedAt: current.startedAt,
+        points: [...current.points],
+        waypoints: [...current.waypoints]
+    };
+}
+
+export function clearRecording() {
+    recording = emptyRecording();
+    save();
+}
+
+export function onRecordingChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
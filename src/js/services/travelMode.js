@@ -0,0 +1,100 @@
+// Works out whether the user is standing still, walking, cycling or driving from how fast recent fixes
+// have been moving. The browser's own speed is used when it reports one; otherwise it's measured between fixes.
+import {
+    TRAVEL_MODES,
+    DEFAULT_TRAVEL_MODE,
+    TRAVEL_MODE_WINDOW_MS,
+    TRAVEL_MODE_MIN_FIXES,
+    TRAVEL_MODE_CONFIRM_FIXES,
+    MAX_SEARCH_RADIUS_METERS
+} from '../config.js';
+import { calculateDistance } from '../utils/geo.js';
+
+let samples = []; // { lat, lon, time, speed } for the fixes inside the window
+let currentMode = findMode(DEFAULT_TRAVEL_MODE);
+let candidate = null; // Mode the recent fixes suggest, and how many fixes running have suggested it
+const listeners = new Set();
+
+function findMode(id) {
+    return TRAVEL_MODES.find((mode) => mode.id === id) || TRAVEL_MODES[0];
+}
+
+function modeForSpeed(speed) {
+    return TRAVEL_MODES.find((mode) => speed <= mode.maxSpeed) || TRAVEL_MODES[TRAVEL_MODES.length - 1];
+}
+
+// Median, so one jumpy fix doesn't turn a walk into a drive
+function typicalSpeed() {
+    const speeds = samples.map((sample) => sample.speed).filter((speed) => speed !== null).sort((a, b) => a - b);
+    if (speeds.length < TRAVEL_MODE_MIN_FIXES) return null;
+    const middle = Math.floor(speeds.length / 2);
+    return speeds.length % 2 ? speeds[middle] : (speeds[middle - 1] + speeds[middle]) / 2;
+}
+
+// Call with every fix. Uses the fix's own time, so accelerated replays are measured at their real pace
+export function updateTravelMode(position) {
+    const { latitude, longitude, speed } = position.coords;
+    const time = position.timestamp || Date.now();
+    const previous = samples[samples.length - 1];
+
+    let measured = null;
+    if (Number.isFinite(speed) && speed >= 0) {
+        measured = speed;
+    } else if (previous && time > previous.time) {
+        measured = calculateDistance(previous.lat, previous.lon, latitude, longitude) / ((time - previous.time) / 1000);
+    }
+
+    samples = [...samples, { lat: latitude, lon: longitude, time, speed: measured }]
+        .filter((sample) => time - sample.time <= TRAVEL_MODE_WINDOW_MS);
+
+    const speedNow = typicalSpeed();
+    if (speedNow === null) return currentMode;
+
+    const suggested = modeForSpeed(speedNow);
+    if (suggested.id === currentMode.id) {
+        candidate = null;
+        return currentMode;
+    }
+
+    candidate = candidate && candidate.mode.id === suggested.id ?
+        { mode: suggested, count: candidate.count + 1 } :
+        { mode: suggested, count: 1 };
+    if (candidate.count >= TRAVEL_MODE_CONFIRM_FIXES) {
+        const from = currentMode;
+        currentMode = suggested;
+        candidate = null;
+        listeners.forEach((listener) => listener(currentMode, from, speedNow));
+    }
+    return currentMode;
+}
+
+export function getTravelMode() {
+    return currentMode;
+}
+
+// Typical speed over the last minute in m/s, or null before there are enough fixes
+export function getTravelSpeed() {
+    return typicalSpeed();
+}
+
+// Forget the fixes so far, e.g. when jumping to a simulated location
+export function resetTravelMode() {
+    samples = [];
+    candidate = null;
+    currentMode = findMode(DEFAULT_TRAVEL_MODE);
+}
+
+// listener(mode, previousMode, speed) is called whenever the mode changes
+export function onTravelModeChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Faster travel covers more ground before the next search, so look further afield
+export function travelSearchRadius(radius) {
+    return Math.min(Math.round(radius * currentMode.radiusFactor), MAX_SEARCH_RADIUS_METERS);
+}
+
+export function travelSwitchThreshold(threshold) {
+    return threshold * currentMode.switchFactor;
+}
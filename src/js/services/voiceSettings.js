@@ -0,0 +1,31 @@
+// The voice, speed and pitch used for narration, kept across visits
+import {
+    DEFAULT_SPEECH_RATE,
+    DEFAULT_SPEECH_PITCH,
+    SPEECH_RATE_RANGE,
+    SPEECH_PITCH_RANGE
+} from '../config.js';
+import { getPreference, setPreference } from './preferences.js';
+
+const VOICE_KEY = 'voice';
+
+const clamp = (value, [min, max], fallback) =>
+    Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+// voiceURI is null when the player should pick a voice for each article's language itself
+export function getVoiceSettings() {
+    const saved = getPreference(VOICE_KEY, null) || {};
+    return {
+        voiceURI: typeof saved.voiceURI === 'string' ? saved.voiceURI : null,
+        rate: clamp(saved.rate, SPEECH_RATE_RANGE, DEFAULT_SPEECH_RATE),
+        pitch: clamp(saved.pitch, SPEECH_PITCH_RANGE, DEFAULT_SPEECH_PITCH)
+    };
+}
+
+export function setVoiceSettings(settings) {
+    setPreference(VOICE_KEY, {
+        voiceURI: settings.voiceURI || null,
+        rate: clamp(settings.rate, SPEECH_RATE_RANGE, DEFAULT_SPEECH_RATE),
+        pitch: clamp(settings.pitch, SPEECH_PITCH_RANGE, DEFAULT_SPEECH_PITCH)
+    });
+}
@@ -1,34 +1,206 @@
+import { FALLBACK_LANGUAGE, NETWORK_TIMEOUT_MS, API_CACHE_TTL_MS, GEOSEARCH_COORD_DECIMALS } from '../config.js';
+import { cachedRequest } from './apiCache.js';
+import { getSetting } from './settingsStore.js';
+import { findPackedArticlesNear, getPackedArticle, getPackedImageUrl } from './tourPackStore.js';
+import { calculateDistance } from '../utils/geo.js';
+
+// The API accepts at most 50 page ids per request
+const PAGEIDS_PER_REQUEST = 50;
+const WIKIDATA_SPARQL = 'https://query.wikidata.org/sparql?';
+// Wikidata units for heights given in feet rather than metres
+const FEET_UNITS = ['Q3710'];
+
+function apiBase(lang) {
+    return `https://${lang}.wikipedia.org/w/api.php?`;
+}
+
+// Shared with the other Wikimedia providers, which speak the same API and use the same cache
+export function fetchJson(url) {
+    return cachedRequest(url, () => fetchFromNetwork(url), { ttl: API_CACHE_TTL_MS });
+}
+
+// The gscoord parameter for a geosearch. Searches are cached by URL, and a full-precision position
+// would make every one unique, so the point is rounded.
+export function geosearchCoord(lat, lon) {
+    return `${lat.toFixed(GEOSEARCH_COORD_DECIMALS)}|${lon.toFixed(GEOSEARCH_COORD_DECIMALS)}`;
+}
+
+async function fetchFromNetwork(url) {
+    if (navigator.onLine === false) {
+        throw new Error('No network connection');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), NETWORK_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`Wikipedia request failed with status ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Wikipedia request timed out');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Splits a list into requests of at most `size` items, e.g. page ids for APIs that cap how many they take
+function toBatches(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+        batches.push(items.slice(i, i + size));
+    }
+    return batches;
+}
+
+// Try the network first and fall back to downloaded tour packs when there's no signal.
+// Packs that have nothing for the request rethrow the original network error.
+async function withTourPackFallback(request, fallback) {
+    try {
+        return await request();
+    } catch (error) {
+        let packed = null;
+        try {
+            packed = await fallback();
+        } catch (packError) {
+            console.warn('wikiApi: tour pack lookup failed:', packError);
+        }
+        if (packed === null || packed === undefined) {
+            throw error;
+        }
+        return packed;
+    }
+}
+
+export function articleUrl(article) {
+    const lang = article.lang || FALLBACK_LANGUAGE;
+    return `https://${lang}.wikipedia.org/?curid=${article.pageid}`;
+}
+
+// Page ids are only unique within one edition, so anything keyed across editions uses this
+export function articleKey(lang, pageid) {
+    return `${lang}:${pageid}`;
+}
+
 export async function fetchNearbyArticles(lat, lon, options = {}) {
-    const radius = options.radius ?? 10000;
-    const limit = options.limit ?? 10;
+    const radius = options.radius ?? getSetting('searchRadiusMeters');
+    const limit = options.limit ?? getSetting('searchLimit');
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
 
-    const url = `https://en.wikipedia.org/w/api.php?` +
+    return withTourPackFallback(
+        () => requestNearbyArticles(lat, lon, radius, limit, lang),
+        async () => {
+            const packed = await findPackedArticlesNear(lat, lon, radius, lang);
+            if (packed.length === 0) return null;
+            return packed.slice(0, limit).map(toGeosearchResult);
+        }
+    );
+}
+
+// Strip a packed article down to the fields a geosearch result has
+function toGeosearchResult({ pageid, title, lat, lon, dist, lang, key }) {
+    return { provider: 'wikipedia', pageid, title, lat, lon, dist, lang, key };
+}
+
+async function requestNearbyArticles(lat, lon, radius, limit, lang) {
+    const localResults = await fetchGeosearch(lat, lon, radius, limit, lang);
+    if (lang === FALLBACK_LANGUAGE) {
+        return localResults;
+    }
+
+    // Places with no article in the chosen edition are filled in from the fallback edition
+    let fallbackResults = await fetchGeosearch(lat, lon, radius, limit, FALLBACK_LANGUAGE);
+    if (fallbackResults.length > 0) {
+        const translated = await fetchPagesWithLanguageLink(
+            fallbackResults.map((article) => article.pageid),
+            FALLBACK_LANGUAGE,
+            lang
+        );
+        fallbackResults = fallbackResults.filter((article) => !translated.has(article.pageid));
+    }
+
+    return [...localResults, ...fallbackResults]
+        .sort((a, b) => a.dist - b.dist)
+        .slice(0, limit);
+}
+
+async function fetchGeosearch(lat, lon, radius, limit, lang) {
+    const url = apiBase(lang) +
         `action=query&` +
         `list=geosearch&` +
-        `gscoord=${lat}|${lon}&` +
+        `gscoord=${geosearchCoord(lat, lon)}&` +
         `gsradius=${radius}&` +
         `gslimit=${limit}&` +
         `format=json&` +
         `origin=*`;
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await fetchJson(url);
 
     if (data.query && data.query.geosearch) {
-        return data.query.geosearch;
+        return data.query.geosearch.map((article) => ({
+            ...article,
+            // The API measured from the rounded point
+            dist: calculateDistance(lat, lon, article.lat, article.lon),
+            provider: 'wikipedia',
+            lang,
+            key: articleKey(lang, article.pageid)
+        }));
     }
 
     return [];
 }
 
-export async function fetchArticleExtract(pageid) {
-    const url = `https://en.wikipedia.org/w/api.php?` +
+async function fetchPagesWithLanguageLink(pageids, fromLang, toLang) {
+    const linked = new Set();
+
+    for (const batch of toBatches(pageids, PAGEIDS_PER_REQUEST)) {
+        const url = apiBase(fromLang) +
+            `action=query&` +
+            `prop=langlinks&` +
+            `lllang=${toLang}&` +
+            `lllimit=max&` +
+            `pageids=${batch.join('|')}&` +
+            `format=json&` +
+            `origin=*`;
+
+        const data = await fetchJson(url);
+
+        if (!data.query || !data.query.pages) continue;
+
+        Object.values(data.query.pages).forEach((page) => {
+            if (page.langlinks && page.langlinks.length > 0) {
+                linked.add(page.pageid);
+            }
+        });
+    }
+
+    return linked;
+}
+
+export async function fetchArticleExtract(pageid, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+
+    return withTourPackFallback(
+        () => requestArticleExtract(pageid, lang),
+        async () => {
+            const packed = await getPackedArticle(articleKey(lang, pageid));
+            return packed ? packed.extract : null;
+        }
+    );
+}
+
+async function requestArticleExtract(pageid, lang) {
+    const url = apiBase(lang) +
         `action=query&` +
         `prop=extracts&exintro=&explaintext=&` +
         `pageids=${pageid}&format=json&origin=*`;
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await fetchJson(url);
 
     if (data.query && data.query.pages && data.query.pages[pageid]) {
         return data.query.pages[pageid].extract;
@@ -37,8 +209,61 @@ export async function fetchArticleExtract(pageid) {
     return null;
 }
 
-export async function fetchArticleSnippet(pageid, sentences = 2) {
-    const url = `https://en.wikipedia.org/w/api.php?` +
+// The whole article as plain-text sections: [{ title, text }], with the lead first and an empty title.
+// Headings that only introduce subsections, and sections with no prose such as references, are dropped.
+export async function fetchArticleSections(pageid, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+
+    return withTourPackFallback(
+        () => requestArticleSections(pageid, lang),
+        async () => {
+            // Packs only hold the lead, so offline there is nothing more to tell
+            const packed = await getPackedArticle(articleKey(lang, pageid));
+            return packed && packed.extract ? [{ title: '', text: packed.extract }] : null;
+        }
+    );
+}
+
+async function requestArticleSections(pageid, lang) {
+    const url = apiBase(lang) +
+        `action=query&` +
+        `prop=extracts&` +
+        `explaintext=&` +
+        `exsectionformat=wiki&` +
+        `pageids=${pageid}&` +
+        `format=json&` +
+        `origin=*`;
+
+    const data = await fetchJson(url);
+
+    if (!data.query || !data.query.pages || !data.query.pages[pageid]) return [];
+
+    const extract = data.query.pages[pageid].extract || '';
+    // Headings come through as lines like "== History ==" or "=== Later years ==="
+    const parts = extract.split(/^\s*={2,}\s*(.+?)\s*={2,}\s*$/m);
+    const sections = [{ title: '', text: parts[0].trim() }];
+    for (let i = 1; i < parts.length; i += 2) {
+        sections.push({ title: parts[i], text: (parts[i + 1] || '').trim() });
+    }
+
+    return sections.filter((section, index) => index === 0 || section.text);
+}
+
+export async function fetchArticleSnippet(pageid, options = {}) {
+    const sentences = options.sentences ?? 2;
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+
+    return withTourPackFallback(
+        () => requestArticleSnippet(pageid, sentences, lang),
+        async () => {
+            const packed = await getPackedArticle(articleKey(lang, pageid));
+            return packed ? packed.snippet : null;
+        }
+    );
+}
+
+async function requestArticleSnippet(pageid, sentences, lang) {
+    const url = apiBase(lang) +
         `action=query&` +
         `prop=extracts&` +
         `exintro=&` +
@@ -48,8 +273,7 @@ export async function fetchArticleSnippet(pageid, sentences = 2) {
         `format=json&` +
         `origin=*`;
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await fetchJson(url);
 
     if (data.query && data.query.pages && data.query.pages[pageid]) {
         return data.query.pages[pageid].extract || null;
@@ -61,11 +285,35 @@ export async function fetchArticleSnippet(pageid, sentences = 2) {
 export async function fetchArticleImages(pageids, options = {}) {
     const thumbSize = options.thumbSize ?? 300;
     const imageLimit = options.imageLimit ?? 5;
-    const imageMap = new Map();
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+
+    if (!pageids || pageids.length === 0) return new Map();
+
+    return withTourPackFallback(
+        async () => {
+            const imageMap = new Map();
+            for (const batch of toBatches(pageids, PAGEIDS_PER_REQUEST)) {
+                const batchImages = await requestArticleImages(batch, thumbSize, imageLimit, lang);
+                batchImages.forEach((url, pageid) => imageMap.set(pageid, url));
+            }
+            return imageMap;
+        },
+        async () => {
+            const imageMap = new Map();
+            for (const pageid of pageids) {
+                const packed = await getPackedArticle(articleKey(lang, pageid));
+                const url = getPackedImageUrl(packed);
+                if (url) imageMap.set(pageid, url);
+            }
+            return imageMap.size > 0 ? imageMap : null;
+        }
+    );
+}
 
-    if (!pageids || pageids.length === 0) return imageMap;
+async function requestArticleImages(pageids, thumbSize, imageLimit, lang) {
+    const imageMap = new Map();
 
-    const url = `https://en.wikipedia.org/w/api.php?` +
+    const url = apiBase(lang) +
         `action=query&` +
         `prop=pageimages|images&` +
         `piprop=thumbnail&` +
@@ -75,8 +323,7 @@ export async function fetchArticleImages(pageids, options = {}) {
         `format=json&` +
         `origin=*`;
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await fetchJson(url);
 
     if (!data.query || !data.query.pages) return imageMap;
 
@@ -107,7 +354,7 @@ export async function fetchArticleImages(pageids, options = {}) {
 
         if (!contentImage) continue;
 
-        const fallbackUrl = await fetchSingleImageInfo(page.pageid, contentImage.title, thumbSize);
+        const fallbackUrl = await fetchSingleImageInfo(contentImage.title, thumbSize, lang);
         if (fallbackUrl) {
             imageMap.set(page.pageid, fallbackUrl);
         }
@@ -116,8 +363,8 @@ export async function fetchArticleImages(pageids, options = {}) {
     return imageMap;
 }
 
-async function fetchSingleImageInfo(pageid, imageTitle, thumbSize) {
-    const url = `https://en.wikipedia.org/w/api.php?` +
+async function fetchSingleImageInfo(imageTitle, thumbSize, lang) {
+    const url = apiBase(lang) +
         `action=query&` +
         `titles=${encodeURIComponent(imageTitle)}&` +
         `prop=imageinfo&` +
@@ -126,8 +373,7 @@ async function fetchSingleImageInfo(pageid, imageTitle, thumbSize) {
         `format=json&` +
         `origin=*`;
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await fetchJson(url);
 
     if (data.query && data.query.pages) {
         const page = Object.values(data.query.pages)[0];
@@ -138,3 +384,182 @@ async function fetchSingleImageInfo(pageid, imageTitle, thumbSize) {
 
     return null;
 }
+
+// Which of `options.classIds` each article's Wikidata item is an instance of, directly or through subclasses.
+// Pages without a Wikidata item are left out of the map.
+export async function fetchArticleClasses(pageids, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+    const classIds = options.classIds ?? [];
+
+    if (!pageids || pageids.length === 0) return new Map();
+
+    return withTourPackFallback(
+        async () => {
+            const classMap = new Map();
+            for (const batch of toBatches(pageids, PAGEIDS_PER_REQUEST)) {
+                const batchClasses = await requestArticleClasses(batch, lang, classIds);
+                batchClasses.forEach((classes, pageid) => classMap.set(pageid, classes));
+            }
+            return classMap;
+        },
+        async () => {
+            const classMap = new Map();
+            for (const pageid of pageids) {
+                const packed = await getPackedArticle(articleKey(lang, pageid));
+                if (packed && packed.classes) classMap.set(pageid, packed.classes);
+            }
+            return classMap.size > 0 ? classMap : null;
+        }
+    );
+}
+
+async function requestArticleClasses(pageids, lang, classIds) {
+    const itemsByPage = await requestArticleItems(pageids, lang);
+    const classMap = new Map();
+    if (itemsByPage.size === 0) return classMap;
+
+    const pagesByItem = new Map(Array.from(itemsByPage, ([pageid, item]) => [item, pageid]));
+    const itemClasses = await fetchWikidataClasses(Array.from(pagesByItem.keys()), classIds);
+    itemClasses.forEach((classes, item) => classMap.set(pagesByItem.get(item), classes));
+
+    return classMap;
+}
+
+// Size of each page's wikitext in bytes, a rough measure of how much there is to say about it
+export async function fetchArticleLengths(pageids, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+    const lengths = new Map();
+
+    for (const batch of toBatches(pageids, PAGEIDS_PER_REQUEST)) {
+        const url = apiBase(lang) +
+            `action=query&` +
+            `prop=info&` +
+            `pageids=${batch.join('|')}&` +
+            `format=json&` +
+            `origin=*`;
+
+        const data = await fetchJson(url);
+        if (!data.query || !data.query.pages) continue;
+
+        Object.values(data.query.pages).forEach((page) => {
+            if (page.length) lengths.set(page.pageid, page.length);
+        });
+    }
+
+    return lengths;
+}
+
+// The Wikidata item id, such as "Q42", of each page that has one
+export async function fetchArticleItems(pageids, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+    const itemMap = new Map();
+
+    for (const batch of toBatches(pageids, PAGEIDS_PER_REQUEST)) {
+        const batchItems = await requestArticleItems(batch, lang);
+        batchItems.forEach((item, pageid) => itemMap.set(pageid, item));
+    }
+
+    return itemMap;
+}
+
+async function requestArticleItems(pageids, lang) {
+    const url = apiBase(lang) +
+        `action=query&` +
+        `prop=pageprops&` +
+        `ppprop=wikibase_item&` +
+        `pageids=${pageids.join('|')}&` +
+        `format=json&` +
+        `origin=*`;
+
+    const data = await fetchJson(url);
+    const itemMap = new Map();
+
+    if (!data.query || !data.query.pages) return itemMap;
+
+    Object.values(data.query.pages).forEach((page) => {
+        const item = page.pageprops && page.pageprops.wikibase_item;
+        if (item) itemMap.set(page.pageid, item);
+    });
+
+    return itemMap;
+}
+
+// Map of item to those of `classIds` it's an instance of (P31), directly or through subclasses (P279).
+// Asking about known classes keeps the answer small; an item's whole class tree runs to hundreds of entries.
+export async function fetchWikidataClasses(items, classIds) {
+    const classMap = new Map();
+    if (items.length === 0 || classIds.length === 0) return classMap;
+
+    // Sorted so the same set of places always makes the same (cacheable) query
+    const sorted = [...new Set(items)].sort();
+    const query = 'SELECT DISTINCT ?item ?class WHERE { ' +
+        `VALUES ?item { ${sorted.map((item) => `wd:${item}`).join(' ')} } ` +
+        `VALUES ?class { ${classIds.map((classId) => `wd:${classId}`).join(' ')} } ` +
+        '?item wdt:P31/wdt:P279* ?class . }';
+
+    const results = await fetchJson(WIKIDATA_SPARQL + `format=json&query=${encodeURIComponent(query)}`);
+
+    results.results.bindings.forEach(({ item, class: classUri }) => {
+        const id = item.value.split('/').pop();
+        if (!classMap.has(id)) classMap.set(id, []);
+        classMap.get(id).push(classUri.value.split('/').pop());
+    });
+
+    return classMap;
+}
+
+// Look up a place by article title, used to centre areas the user isn't standing in
+export async function fetchPlaceCoordinates(title, options = {}) {
+    const lang = options.lang ?? FALLBACK_LANGUAGE;
+
+    const url = apiBase(lang) +
+        `action=query&` +
+        `prop=coordinates&` +
+        `redirects=&` +
+        `titles=${encodeURIComponent(title)}&` +
+        `format=json&` +
+        `origin=*`;
+
+    const data = await fetchJson(url);
+
+    if (data.query && data.query.pages) {
+        const page = Object.values(data.query.pages)[0];
+        if (page && page.coordinates && page.coordinates[0]) {
+            return { title: page.title, lat: page.coordinates[0].lat, lon: page.coordinates[0].lon };
+        }
+    }
+
+    return null;
+}
+
+// Headline facts from one Wikidata item: its classes, inception dates, architects, heritage designations
+// and heights in metres. Every list is empty when the item doesn't say.
+export async function fetchWikidataFacts(item) {
+    const query = 'SELECT ?classLabel ?inception ?architectLabel ?heritageLabel ?height ?heightUnit WHERE { ' +
+        `VALUES ?item { wd:${item} } ` +
+        'OPTIONAL { ?item wdt:P31 ?class . } ' +
+        'OPTIONAL { ?item wdt:P571 ?inception . } ' +
+        'OPTIONAL { ?item wdt:P84 ?architect . } ' +
+        'OPTIONAL { ?item wdt:P1435 ?heritage . } ' +
+        'OPTIONAL { ?item p:P2048/psv:P2048 [ wikibase:quantityAmount ?height; wikibase:quantityUnit ?heightUnit ] . } ' +
+        'SERVICE wikibase:label { bd:serviceParam wikibase:language "en". } }';
+
+    const results = await fetchJson(WIKIDATA_SPARQL + `format=json&query=${encodeURIComponent(query)}`);
+
+    // OPTIONAL clauses multiply into one row per combination, so collect each value once
+    const collect = (name) => [...new Set(results.results.bindings
+        .filter((row) => row[name])
+        .map((row) => row[name].value))];
+
+    const heights = results.results.bindings
+        .filter((row) => row.height)
+        .map((row) => Number(row.height.value) * (FEET_UNITS.includes(row.heightUnit.value.split('/').pop()) ? 0.3048 : 1));
+
+    return {
+        classes: collect('classLabel').map((label) => label.toLowerCase()),
+        inception: collect('inception'),
+        architects: collect('architectLabel'),
+        heritage: collect('heritageLabel'),
+        heights: [...new Set(heights)]
+    };
+}
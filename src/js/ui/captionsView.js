@@ -0,0 +1,110 @@
+// Captions panel: the whole of what's being read, with the sentence being spoken highlighted and kept in view.
+// When the voice reports word boundaries the word is marked too; otherwise the chunk being spoken is highlighted.
+// Tapping a sentence reads on from there.
+import { captionsPanel, captionsNote, captionsText } from '../dom/elements.js';
+import { CAPTIONS_SCROLL_PAUSE_MS } from '../config.js';
+
+export function initCaptionsView({ open, onToggle, onSelectSentence }) {
+    if (!captionsPanel || !captionsText) return null;
+
+    let sentences = [];
+    let sentenceEls = [];
+    let highlighted = [];
+    let followed = -1; // Sentence last scrolled to
+    let lastUserScroll = 0;
+    let textOnly = false;
+
+    captionsPanel.open = open;
+    // Opened because there's no voice isn't the same as wanting captions, so that isn't remembered
+    captionsPanel.addEventListener('toggle', () => {
+        if (!textOnly) onToggle(captionsPanel.open);
+    });
+
+    captionsText.addEventListener('click', (event) => {
+        const sentenceEl = event.target.closest('.caption-sentence');
+        if (sentenceEl) onSelectSentence(Number(sentenceEl.dataset.index));
+    });
+
+    // Someone scrolling back to re-read shouldn't be dragged to the current sentence straight away
+    ['wheel', 'touchmove'].forEach((type) => {
+        captionsText.addEventListener(type, () => {
+            lastUserScroll = Date.now();
+        }, { passive: true });
+    });
+
+    const setSentences = (next) => {
+        sentences = next;
+        highlighted = [];
+        followed = -1;
+        captionsText.replaceChildren();
+        sentenceEls = [];
+
+        let paragraphEl = null;
+        let paragraph = null;
+        sentences.forEach((sentence, index) => {
+            if (!paragraphEl || sentence.paragraph !== paragraph) {
+                paragraph = sentence.paragraph;
+                paragraphEl = document.createElement('p');
+                captionsText.appendChild(paragraphEl);
+            }
+            const sentenceEl = document.createElement('span');
+            sentenceEl.className = 'caption-sentence';
+            sentenceEl.dataset.index = index;
+            sentenceEl.textContent = sentence.text;
+            paragraphEl.append(sentenceEl, ' ');
+            sentenceEls.push(sentenceEl);
+        });
+        captionsText.scrollTop = 0;
+    };
+
+    const setProgress = ({ sentenceIndex, chunkIndex, charIndex, exact }) => {
+        const current = exact ?
+            [sentenceIndex] :
+            sentences.map((sentence, index) => index).filter((index) => sentences[index].chunkIndex === chunkIndex);
+
+        highlighted.forEach((index) => {
+            if (!sentenceEls[index]) return;
+            sentenceEls[index].classList.remove('caption-sentence--current');
+            sentenceEls[index].textContent = sentences[index].text;
+        });
+        current.forEach((index) => {
+            if (sentenceEls[index]) sentenceEls[index].classList.add('caption-sentence--current');
+        });
+        highlighted = current;
+
+        if (exact) markWord(sentenceIndex, chunkIndex, charIndex);
+        if (current.length && current[0] !== followed) scrollToSentence(current[0]);
+    };
+
+    const markWord = (index, chunkIndex, charIndex) => {
+        const sentence = sentences[index];
+        const sentenceEl = sentenceEls[index];
+        if (!sentence || !sentenceEl || chunkIndex !== sentence.chunkIndex) return;
+
+        const start = charIndex - sentence.offset;
+        if (start < 0 || start >= sentence.text.length) return;
+        const end = sentence.text.indexOf(' ', start);
+        const word = document.createElement('mark');
+        word.className = 'caption-word';
+        word.textContent = sentence.text.slice(start, end < 0 ? undefined : end);
+        sentenceEl.replaceChildren(sentence.text.slice(0, start), word, end < 0 ? '' : sentence.text.slice(end));
+    };
+
+    // Scrolls the captions box only, keeping the sentence a third of the way down, rather than the whole page.
+    // The box is positioned, so offsetTop is measured from its top.
+    const scrollToSentence = (index) => {
+        if (!captionsPanel.open || Date.now() - lastUserScroll < CAPTIONS_SCROLL_PAUSE_MS) return;
+        followed = index;
+        const top = sentenceEls[index].offsetTop - captionsText.clientHeight / 3;
+        captionsText.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+    };
+
+    // Without a voice the captions are the narration, so they're shown whether or not they were wanted
+    const setTextOnly = (isTextOnly) => {
+        textOnly = isTextOnly;
+        if (captionsNote) captionsNote.classList.toggle('hidden', !textOnly);
+        if (textOnly) captionsPanel.open = true;
+    };
+
+    return { setSentences, setProgress, setTextOnly };
+}
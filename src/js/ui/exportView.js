@@ -0,0 +1,53 @@
+// Export panel: download the recorded tour as GPX, GeoJSON or KML
+import { getRecording, clearRecording, onRecordingChange } from '../services/tourRecorder.js';
+import { toGpx, toGeoJson, toKml } from '../utils/trackExport.js';
+import { polylineLength, formatDistance } from '../utils/geo.js';
+import { downloadFile, showStatus } from '../utils/appUtils.js';
+import { exportSummary, exportGpxBtn, exportGeoJsonBtn, exportKmlBtn, clearRecordingBtn } from '../dom/elements.js';
+
+const FORMATS = {
+    gpx: { serialize: toGpx, extension: 'gpx', mimeType: 'application/gpx+xml' },
+    geojson: { serialize: toGeoJson, extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { serialize: toKml, extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+export function initExportView() {
+    if (!exportSummary) return;
+
+    exportGpxBtn.addEventListener('click', () => exportAs('gpx'));
+    exportGeoJsonBtn.addEventListener('click', () => exportAs('geojson'));
+    exportKmlBtn.addEventListener('click', () => exportAs('kml'));
+    clearRecordingBtn.addEventListener('click', () => {
+        if (window.confirm('Delete the recorded tour?')) {
+            clearRecording();
+        }
+    });
+
+    onRecordingChange(renderSummary);
+    renderSummary(getRecording());
+}
+
+function exportAs(format) {
+    const recording = getRecording();
+    const { serialize, extension, mimeType } = FORMATS[format];
+    const date = new Date(recording.startedAt || Date.now()).toISOString().slice(0, 10);
+
+    downloadFile(`walking-tour-${date}.${extension}`, serialize(recording), mimeType);
+    showStatus(`Exported tour as ${extension.toUpperCase()}`, 'success');
+}
+
+function renderSummary(recording) {
+    const isEmpty = recording.points.length === 0 && recording.waypoints.length === 0;
+    [exportGpxBtn, exportGeoJsonBtn, exportKmlBtn, clearRecordingBtn].forEach((button) => {
+        button.disabled = isEmpty;
+    });
+
+    if (isEmpty) {
+        exportSummary.textContent = 'Start a tour to record your walk and the places you hear about';
+        return;
+    }
+
+    const started = new Date(recording.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    exportSummary.textContent = `Started ${started} · ${formatDistance(polylineLength(recording.points))} walked · ` +
+        `${recording.waypoints.length} places narrated`;
+}
@@ -0,0 +1,79 @@
+// Listening history panel: choose how heard places are treated, replay or forget them
+import { getHistory, removeHistoryEntry, clearHistory, onHistoryChange } from '../services/listeningHistory.js';
+import { heardPolicySelect, clearHistoryBtn, historyList } from '../dom/elements.js';
+
+export function initHistoryView({ heardPolicy, onPolicyChange, onReplay }) {
+    if (!historyList) return;
+
+    if (heardPolicySelect) {
+        heardPolicySelect.value = heardPolicy;
+        heardPolicySelect.addEventListener('change', () => onPolicyChange(heardPolicySelect.value));
+    }
+
+    if (clearHistoryBtn) {
+        clearHistoryBtn.addEventListener('click', () => {
+            if (window.confirm('Forget every place you have heard?')) {
+                clearHistory();
+            }
+        });
+    }
+
+    onHistoryChange((entries) => renderHistory(entries, onReplay));
+    renderHistory(getHistory(), onReplay);
+}
+
+function renderHistory(entries, onReplay) {
+    historyList.innerHTML = '';
+    if (clearHistoryBtn) clearHistoryBtn.disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = 'Places you finish listening to will appear here';
+        historyList.appendChild(empty);
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const details = document.createElement('div');
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = entry.title;
+        title.lang = entry.lang;
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const times = entry.count > 1 ? ` · heard ${entry.count} times` : '';
+        meta.textContent = new Date(entry.lastHeardAt).toLocaleString([], {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        }) + times;
+        details.appendChild(title);
+        details.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+
+        const replayBtn = document.createElement('button');
+        replayBtn.type = 'button';
+        replayBtn.className = 'bar-action bar-action--ghost';
+        replayBtn.textContent = '▶️';
+        replayBtn.setAttribute('aria-label', `Replay ${entry.title}`);
+        replayBtn.addEventListener('click', () => onReplay(entry));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'bar-action bar-action--ghost';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', `Forget ${entry.title}`);
+        removeBtn.addEventListener('click', () => removeHistoryEntry(entry.key));
+
+        actions.appendChild(replayBtn);
+        actions.appendChild(removeBtn);
+        item.appendChild(details);
+        item.appendChild(actions);
+        historyList.appendChild(item);
+    });
+}
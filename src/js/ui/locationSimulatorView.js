@@ -0,0 +1,134 @@
+// Debug-panel controls for choosing where positions come from: real GPS, a replayed track or a teleport.
+// The same choice can be made from the URL, e.g. ?location=replay&track=walk.gpx&speed=10 or ?location=teleport&at=51.5,-0.12
+import { REPLAY_SPEED_OPTIONS } from '../config.js';
+import { createGeolocationSource, createReplaySource, createManualSource } from '../services/locationSource.js';
+import { parseTrack } from '../utils/trackParser.js';
+import { showStatus } from '../utils/appUtils.js';
+import {
+    locationSourceSelect,
+    replayFileInput,
+    replaySpeedSelect,
+    teleportInput,
+    teleportBtn
+} from '../dom/elements.js';
+
+const COORDINATE_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+export function initLocationSimulatorView({ onSourceChange, logDebug }) {
+    if (!locationSourceSelect) return;
+
+    let source = null;
+    let track = null;
+
+    REPLAY_SPEED_OPTIONS.forEach((speed) => {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}×`;
+        replaySpeedSelect.appendChild(option);
+    });
+
+    const use = (next) => {
+        source = next;
+        showControls(next.name);
+        onSourceChange(next);
+    };
+
+    const replay = (points, name) => {
+        track = points;
+        use(createReplaySource(track, {
+            speed: Number(replaySpeedSelect.value),
+            onEnd: () => showStatus(`Finished replaying ${name}`, 'info')
+        }));
+        logDebug(`Replaying ${name}: ${track.length} points at ${replaySpeedSelect.value}×`);
+    };
+
+    const teleport = (lat, lon) => {
+        if (source && source.name === 'manual') {
+            source.teleport(lat, lon);
+        } else {
+            use(createManualSource({ lat, lon }));
+        }
+        teleportInput.value = `${lat}, ${lon}`;
+        logDebug(`Teleported to ${lat}, ${lon}`);
+    };
+
+    locationSourceSelect.addEventListener('change', () => {
+        const mode = locationSourceSelect.value;
+        if (mode === 'gps') {
+            use(createGeolocationSource());
+        } else if (mode === 'replay') {
+            // Nothing to play until a track is chosen
+            if (track) replay(track, 'track');
+            else showControls('replay');
+        } else {
+            showControls('manual');
+        }
+    });
+
+    replayFileInput.addEventListener('change', async () => {
+        const file = replayFileInput.files[0];
+        if (!file) return;
+
+        try {
+            replay(parseTrack(await file.text(), file.name), file.name);
+        } catch (error) {
+            showStatus(`Could not read track: ${error.message}`, 'error');
+        } finally {
+            replayFileInput.value = '';
+        }
+    });
+
+    replaySpeedSelect.addEventListener('change', () => {
+        if (source && source.name === 'replay') {
+            source.setSpeed(Number(replaySpeedSelect.value));
+        }
+    });
+
+    teleportBtn.addEventListener('click', () => {
+        const match = teleportInput.value.match(COORDINATE_PATTERN);
+        if (!match) {
+            showStatus('Enter coordinates as "latitude, longitude"', 'error');
+            return;
+        }
+        teleport(Number(match[1]), Number(match[2]));
+    });
+
+    showControls('gps');
+    applyUrlParameters({ replay, teleport });
+}
+
+function showControls(mode) {
+    locationSourceSelect.value = mode;
+    replayFileInput.closest('label').classList.toggle('hidden', mode !== 'replay');
+    replaySpeedSelect.closest('label').classList.toggle('hidden', mode !== 'replay');
+    teleportInput.closest('label').classList.toggle('hidden', mode !== 'manual');
+}
+
+async function applyUrlParameters({ replay, teleport }) {
+    const params = new URLSearchParams(window.location.search);
+    const mode = params.get('location');
+
+    const speed = params.get('speed');
+    if (speed && REPLAY_SPEED_OPTIONS.includes(Number(speed))) {
+        replaySpeedSelect.value = speed;
+    }
+
+    if (mode === 'teleport' || mode === 'manual') {
+        const match = (params.get('at') || '').match(COORDINATE_PATTERN);
+        if (match) teleport(Number(match[1]), Number(match[2]));
+        else showControls('manual');
+    } else if (mode === 'replay') {
+        const url = params.get('track');
+        if (!url) {
+            showControls('replay');
+            return;
+        }
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            replay(parseTrack(await response.text(), url), url);
+        } catch (error) {
+            showStatus(`Could not load replay track: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// Source choices in the settings panel: which providers' places go into the tour
+import { contentProvidersFieldset } from '../dom/elements.js';
+
+export function initProviderView({ providers, enabled, onChange }) {
+    if (!contentProvidersFieldset) return;
+
+    const boxes = providers.map(({ id, name }) => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = id;
+        box.checked = enabled.includes(id);
+        label.append(box, ` ${name}`);
+        contentProvidersFieldset.appendChild(label);
+        return box;
+    });
+
+    boxes.forEach((box) => box.addEventListener('change', () => {
+        const checked = boxes.filter((item) => item.checked).map((item) => item.value);
+        // At least one source has to stay on, or there would be nothing to hear
+        if (checked.length === 0) {
+            box.checked = true;
+            return;
+        }
+        onChange(checked);
+    }));
+}
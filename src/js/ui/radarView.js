@@ -0,0 +1,134 @@
+// Radar view: plots the queued places around the user's position as an SVG, north up.
+// Drawn from distances and bearings alone, so it needs no map tiles and works offline.
+import { calculateDistance, calculateBearing, formatDistance } from '../utils/geo.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SIZE = 300;
+const CENTER = SIZE / 2;
+const RADIUS = SIZE / 2 - 18;
+const RING_COUNT = 3;
+const RANGE_STEPS_METERS = [100, 250, 500, 1000, 2000, 5000, 10000, 20000];
+
+export function createRadarView(container, { onSelect }) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${SIZE} ${SIZE}`);
+    svg.setAttribute('class', 'radar');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'Map of nearby places around you');
+    container.appendChild(svg);
+
+    const render = ({ position, articles, currentKey, isPlaying, isHeard, route = null }) => {
+        svg.innerHTML = '';
+        if (!position || !articles.length) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const { latitude, longitude } = position.coords;
+        const plotted = articles.map((article, index) => ({
+            article,
+            index,
+            distance: calculateDistance(latitude, longitude, article.lat, article.lon),
+            bearing: calculateBearing(latitude, longitude, article.lat, article.lon)
+        }));
+        const range = pickRange(Math.max(...plotted.map((item) => item.distance)));
+
+        drawRings(svg, range);
+        if (route && route.length > 0) {
+            drawRoute(svg, route, latitude, longitude, range);
+        }
+        drawYou(svg);
+
+        // Draw the current place last so it sits on top of any overlapping dots
+        plotted
+            .sort((a, b) => Number(a.article.key === currentKey) - Number(b.article.key === currentKey))
+            .forEach((item) => {
+                const state = item.article.key === currentKey ? (isPlaying ? 'playing' : 'current') :
+                              isHeard(item.article) ? 'heard' : 'queued';
+                drawPlace(svg, item, range, state, onSelect);
+            });
+    };
+
+    return { render };
+}
+
+function pickRange(maxDistance) {
+    return RANGE_STEPS_METERS.find((step) => step >= maxDistance) ||
+        RANGE_STEPS_METERS[RANGE_STEPS_METERS.length - 1];
+}
+
+function toPoint(distance, bearing, range) {
+    const r = Math.min(distance / range, 1) * RADIUS;
+    const radians = bearing * Math.PI / 180;
+    return {
+        x: CENTER + r * Math.sin(radians),
+        y: CENTER - r * Math.cos(radians)
+    };
+}
+
+function createSvgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+function drawRings(svg, range) {
+    for (let i = 1; i <= RING_COUNT; i++) {
+        const r = RADIUS * i / RING_COUNT;
+        svg.appendChild(createSvgElement('circle', { cx: CENTER, cy: CENTER, r, class: 'radar-ring' }));
+
+        const label = createSvgElement('text', { x: CENTER + 4, y: CENTER - r + 12, class: 'radar-label' });
+        label.textContent = formatDistance(range * i / RING_COUNT);
+        svg.appendChild(label);
+    }
+
+    const north = createSvgElement('text', { x: CENTER, y: 12, class: 'radar-north', 'text-anchor': 'middle' });
+    north.textContent = 'N';
+    svg.appendChild(north);
+}
+
+// The planned walking order, starting from the user
+function drawRoute(svg, route, latitude, longitude, range) {
+    const points = [{ x: CENTER, y: CENTER }, ...route.map((place) => toPoint(
+        calculateDistance(latitude, longitude, place.lat, place.lon),
+        calculateBearing(latitude, longitude, place.lat, place.lon),
+        range
+    ))];
+    svg.appendChild(createSvgElement('polyline', {
+        points: points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+        class: 'radar-route'
+    }));
+}
+
+function drawYou(svg) {
+    svg.appendChild(createSvgElement('circle', { cx: CENTER, cy: CENTER, r: 5, class: 'radar-you' }));
+}
+
+function drawPlace(svg, { article, index, distance, bearing }, range, state, onSelect) {
+    const { x, y } = toPoint(distance, bearing, range);
+    const group = createSvgElement('g', {
+        class: `radar-place radar-place--${state}`,
+        tabindex: '0',
+        role: 'button',
+        'aria-label': `${article.title}, ${formatDistance(distance)} away`
+    });
+
+    const title = createSvgElement('title', {});
+    title.textContent = `${article.title} (${formatDistance(distance)})`;
+    group.appendChild(title);
+
+    // A larger transparent circle gives fingers something to hit
+    group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 16, class: 'radar-hit' }));
+    group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: state === 'playing' ? 9 : 7, class: 'radar-dot' }));
+
+    group.addEventListener('click', () => onSelect(article, index));
+    group.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            onSelect(article, index);
+        }
+    });
+
+    svg.appendChild(group);
+}
@@ -0,0 +1,49 @@
+// Planned route panel: load a GPX or GeoJSON line and choose the corridor to search along it
+import { ROUTE_CORRIDOR_OPTIONS_METERS, DEFAULT_ROUTE_CORRIDOR_METERS } from '../config.js';
+import { parseTrack } from '../utils/trackParser.js';
+import { formatDistance } from '../utils/geo.js';
+import { showStatus } from '../utils/appUtils.js';
+import { routeFileInput, routeCorridorSelect, clearRouteBtn, routeSummary } from '../dom/elements.js';
+
+export function initRouteImportView({ onRouteSelected, onRouteCleared }) {
+    if (!routeFileInput) return null;
+
+    ROUTE_CORRIDOR_OPTIONS_METERS.forEach((meters) => {
+        const option = document.createElement('option');
+        option.value = String(meters);
+        option.textContent = `${formatDistance(meters)} either side`;
+        routeCorridorSelect.appendChild(option);
+    });
+    routeCorridorSelect.value = String(DEFAULT_ROUTE_CORRIDOR_METERS);
+
+    routeFileInput.addEventListener('change', async () => {
+        const file = routeFileInput.files[0];
+        if (!file) return;
+
+        try {
+            const line = parseTrack(await file.text(), file.name);
+            onRouteSelected({
+                line,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                corridor: Number(routeCorridorSelect.value)
+            });
+        } catch (error) {
+            showStatus(`Could not read route: ${error.message}`, 'error');
+        } finally {
+            // Allow the same file to be chosen again
+            routeFileInput.value = '';
+        }
+    });
+
+    clearRouteBtn.addEventListener('click', () => onRouteCleared());
+
+    const showSummary = (summary) => {
+        clearRouteBtn.classList.toggle('hidden', !summary);
+        routeSummary.textContent = summary ?
+            `${summary.name}: ${formatDistance(summary.length)}, ${summary.placeCount} places along the way` :
+            'No route loaded';
+    };
+    showSummary(null);
+
+    return { showSummary };
+}
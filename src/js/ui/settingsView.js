@@ -0,0 +1,99 @@
+// Tour tuning panel: one field per entry in the settings schema, saved as soon as it changes
+import {
+    SETTINGS_SCHEMA,
+    getSetting,
+    setSetting,
+    resetSettings,
+    isSettingOverridden,
+    onSettingsChange
+} from '../services/settingsStore.js';
+import { tourSettingsFields, resetSettingsBtn } from '../dom/elements.js';
+
+export function initSettingsView() {
+    if (!tourSettingsFields) return;
+
+    const inputs = new Map();
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+        const field = schema.type === 'boolean' ? createToggle(key, schema) : createNumberField(key, schema);
+        inputs.set(key, field.input);
+        tourSettingsFields.appendChild(field.element);
+    });
+
+    const render = (key) => {
+        const schema = SETTINGS_SCHEMA[key];
+        const input = inputs.get(key);
+        const value = getSetting(key);
+        if (schema.type === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = toDisplay(value, schema);
+        }
+        input.title = isSettingOverridden(key) ? 'Set by the page link for this visit' : '';
+    };
+
+    inputs.forEach((input, key) => {
+        render(key);
+        input.addEventListener('change', () => {
+            const schema = SETTINGS_SCHEMA[key];
+            const value = schema.type === 'boolean' ? input.checked : fromDisplay(input.value, schema);
+            try {
+                setSetting(key, value);
+            } catch (error) {
+                console.warn('Settings:', error.message);
+            }
+            // Show the value actually kept, e.g. after clamping to the allowed range
+            render(key);
+        });
+    });
+
+    onSettingsChange((key) => render(key));
+
+    if (resetSettingsBtn) {
+        resetSettingsBtn.addEventListener('click', resetSettings);
+    }
+}
+
+function createNumberField(key, schema) {
+    const element = document.createElement('label');
+    element.className = 'settings-field';
+    element.htmlFor = `setting-${key}`;
+
+    const label = document.createElement('span');
+    label.textContent = schema.unit ? `${schema.label} (${schema.unit})` : schema.label;
+
+    const input = document.createElement('input');
+    input.id = `setting-${key}`;
+    input.type = 'number';
+    input.inputMode = 'decimal';
+    input.min = toDisplay(schema.min, schema);
+    input.max = toDisplay(schema.max, schema);
+    input.step = toDisplay(schema.step, schema);
+
+    element.append(label, input);
+    return { element, input };
+}
+
+function createToggle(key, schema) {
+    const element = document.createElement('label');
+    element.className = 'settings-toggle';
+    element.htmlFor = `setting-${key}`;
+
+    const input = document.createElement('input');
+    input.id = `setting-${key}`;
+    input.type = 'checkbox';
+
+    const label = document.createElement('span');
+    label.textContent = schema.label;
+
+    element.append(input, label);
+    return { element, input };
+}
+
+function toDisplay(value, schema) {
+    return schema.scale ? value / schema.scale : value;
+}
+
+function fromDisplay(value, schema) {
+    return value === '' ? value : Number(value) * (schema.scale || 1);
+}
@@ -0,0 +1,20 @@
+// Theme choices in the settings panel: which kinds of place to play first and which to leave out
+import { favouredThemesFieldset, excludedThemesFieldset } from '../dom/elements.js';
+
+export function initThemeView({ settings, onChange }) {
+    if (!favouredThemesFieldset || !excludedThemesFieldset) return;
+
+    const favourBoxes = Array.from(favouredThemesFieldset.querySelectorAll('input[type="checkbox"]'));
+    const excludeBoxes = Array.from(excludedThemesFieldset.querySelectorAll('input[type="checkbox"]'));
+
+    favourBoxes.forEach((box) => { box.checked = settings.favour.includes(box.value); });
+    excludeBoxes.forEach((box) => { box.checked = settings.exclude.includes(box.value); });
+
+    const checkedValues = (boxes) => boxes.filter((box) => box.checked).map((box) => box.value);
+    const handleChange = () => onChange({
+        favour: checkedValues(favourBoxes),
+        exclude: checkedValues(excludeBoxes)
+    });
+
+    [...favourBoxes, ...excludeBoxes].forEach((box) => box.addEventListener('change', handleChange));
+}
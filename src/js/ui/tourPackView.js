@@ -0,0 +1,147 @@
+// Offline tour pack panel: pick an area, download it and manage saved packs
+import { TOUR_PACK_RADIUS_OPTIONS_METERS } from '../config.js';
+import { downloadTourPack } from '../services/tourPack.js';
+import { listTourPacks, deleteTourPack } from '../services/tourPackStore.js';
+import { fetchPlaceCoordinates } from '../services/wikiApi.js';
+import { formatDistance } from '../utils/geo.js';
+import { showStatus } from '../utils/appUtils.js';
+import {
+    tourPackCenterInput,
+    tourPackUseLocationBtn,
+    tourPackRadiusSelect,
+    tourPackDownloadBtn,
+    tourPackProgress,
+    tourPackList
+} from '../dom/elements.js';
+
+const COORDINATE_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+export function initTourPackView({ getCurrentPosition, getLanguage, logDebug }) {
+    if (!tourPackDownloadBtn) return;
+
+    TOUR_PACK_RADIUS_OPTIONS_METERS.forEach((meters) => {
+        const option = document.createElement('option');
+        option.value = String(meters);
+        option.textContent = formatDistance(meters);
+        tourPackRadiusSelect.appendChild(option);
+    });
+    tourPackRadiusSelect.value = String(TOUR_PACK_RADIUS_OPTIONS_METERS[1]);
+
+    tourPackUseLocationBtn.addEventListener('click', async () => {
+        try {
+            const position = getCurrentPosition() || await requestPosition();
+            const { latitude, longitude } = position.coords;
+            tourPackCenterInput.value = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+        } catch (error) {
+            showStatus(`Unable to get your location: ${error.message}`, 'error');
+        }
+    });
+
+    tourPackDownloadBtn.addEventListener('click', async () => {
+        tourPackDownloadBtn.disabled = true;
+        try {
+            const lang = getLanguage();
+            const center = await resolveCenter(tourPackCenterInput.value, lang);
+            const radius = Number(tourPackRadiusSelect.value);
+
+            logDebug(`Downloading tour pack for ${center.name} (${radius} m)`);
+            const pack = await downloadTourPack({ ...center, radius, lang }, renderProgress);
+
+            showStatus(`Saved ${pack.articleCount} places around ${pack.name} for offline use`, 'success');
+            await renderPackList();
+        } catch (error) {
+            showStatus(`Tour pack download failed: ${error.message}`, 'error');
+        } finally {
+            tourPackDownloadBtn.disabled = false;
+            tourPackProgress.classList.add('hidden');
+        }
+    });
+
+    renderPackList().catch((error) => logDebug(`Could not list tour packs: ${error.message}`, 'warn'));
+}
+
+async function resolveCenter(value, lang) {
+    const text = value.trim();
+    if (!text) {
+        throw new Error('Enter a place name or coordinates');
+    }
+
+    const match = text.match(COORDINATE_PATTERN);
+    if (match) {
+        return { lat: Number(match[1]), lon: Number(match[2]), name: text };
+    }
+
+    const place = await fetchPlaceCoordinates(text, { lang });
+    if (!place) {
+        throw new Error(`Couldn't find a location for "${text}"`);
+    }
+    return { lat: place.lat, lon: place.lon, name: place.title };
+}
+
+function requestPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation is not supported by your browser'));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 10000 });
+    });
+}
+
+function renderProgress({ stage, done, total }) {
+    tourPackProgress.classList.remove('hidden');
+    if (stage === 'search') {
+        tourPackProgress.textContent = 'Finding places in the area...';
+    } else if (stage === 'articles') {
+        tourPackProgress.textContent = `Downloading places: ${done}/${total}`;
+    } else {
+        tourPackProgress.textContent = 'Saving tour pack...';
+    }
+}
+
+async function renderPackList() {
+    const packs = await listTourPacks();
+    tourPackList.innerHTML = '';
+
+    if (packs.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'tour-pack-empty';
+        empty.textContent = 'No tour packs downloaded yet';
+        tourPackList.appendChild(empty);
+        return;
+    }
+
+    packs.forEach((pack) => {
+        const item = document.createElement('li');
+        item.className = 'tour-pack-item';
+
+        const details = document.createElement('div');
+        const title = document.createElement('div');
+        title.className = 'tour-pack-name';
+        title.textContent = pack.name;
+        const meta = document.createElement('div');
+        meta.className = 'tour-pack-meta';
+        meta.textContent = `${pack.articleCount} places · ${formatDistance(pack.radius)} · ${pack.lang} · ` +
+            new Date(pack.createdAt).toLocaleDateString();
+        details.appendChild(title);
+        details.appendChild(meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'bar-action bar-action--ghost';
+        deleteBtn.textContent = '🗑 Delete';
+        deleteBtn.setAttribute('aria-label', `Delete tour pack ${pack.name}`);
+        deleteBtn.addEventListener('click', async () => {
+            try {
+                await deleteTourPack(pack.id);
+                await renderPackList();
+            } catch (error) {
+                showStatus(`Could not delete tour pack: ${error.message}`, 'error');
+            }
+        });
+
+        item.appendChild(details);
+        item.appendChild(deleteBtn);
+        tourPackList.appendChild(item);
+    });
+}
@@ -0,0 +1,76 @@
+// Voice panel: pick one of the browser's voices, set how fast and how high it speaks, and hear a sample
+import {
+    voiceSelect,
+    speechRateInput,
+    speechRateValue,
+    speechPitchInput,
+    speechPitchValue,
+    previewVoiceBtn
+} from '../dom/elements.js';
+import { SPEECH_RATE_RANGE, SPEECH_PITCH_RANGE } from '../config.js';
+
+const PREVIEW_TEXT = 'This is how the places on your walk will sound.';
+
+export function initVoiceView({ settings, voices, onChange, onPreview }) {
+    if (!voiceSelect || !speechRateInput || !speechPitchInput) return null;
+
+    let current = { ...settings };
+
+    setRange(speechRateInput, SPEECH_RATE_RANGE, current.rate);
+    setRange(speechPitchInput, SPEECH_PITCH_RANGE, current.pitch);
+    renderValues(current);
+    renderVoices(voices, current.voiceURI);
+
+    const update = (changes) => {
+        current = { ...current, ...changes };
+        renderValues(current);
+        onChange(current);
+    };
+
+    voiceSelect.addEventListener('change', () => update({ voiceURI: voiceSelect.value || null }));
+    speechRateInput.addEventListener('input', () => renderValues({ ...current, rate: Number(speechRateInput.value) }));
+    speechRateInput.addEventListener('change', () => update({ rate: Number(speechRateInput.value) }));
+    speechPitchInput.addEventListener('input', () => renderValues({ ...current, pitch: Number(speechPitchInput.value) }));
+    speechPitchInput.addEventListener('change', () => update({ pitch: Number(speechPitchInput.value) }));
+
+    if (previewVoiceBtn) {
+        previewVoiceBtn.addEventListener('click', () => onPreview(PREVIEW_TEXT, current));
+    }
+
+    // Browsers load their voices asynchronously, so the list is filled in again once they arrive
+    return {
+        setVoices: (loaded) => renderVoices(loaded, current.voiceURI)
+    };
+}
+
+function setRange(input, [min, max], value) {
+    input.min = min;
+    input.max = max;
+    input.step = 0.1;
+    input.value = value;
+}
+
+function renderValues({ rate, pitch }) {
+    if (speechRateValue) speechRateValue.textContent = `${rate.toFixed(1)}×`;
+    if (speechPitchValue) speechPitchValue.textContent = pitch.toFixed(1);
+}
+
+function renderVoices(voices, selectedURI) {
+    voiceSelect.innerHTML = '';
+
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = 'Automatic (matches each article\'s language)';
+    voiceSelect.appendChild(automatic);
+
+    [...voices]
+        .sort((a, b) => a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name))
+        .forEach((voice) => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            voiceSelect.appendChild(option);
+        });
+
+    voiceSelect.value = voices.some((voice) => voice.voiceURI === selectedURI) ? selectedURI : '';
+}
@@ -12,6 +12,35 @@ export function preventDoubleTapZoom(element, thresholdMs) {
     });
 }
 
+// Calls onPress for a tap or click and onLongPress when the button is held down for holdMs
+export function addPressHandlers(element, { onPress, onLongPress, holdMs }) {
+    let holdTimer = null;
+    let didLongPress = false;
+
+    const cancelHold = () => {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+    };
+
+    element.addEventListener('pointerdown', () => {
+        didLongPress = false;
+        cancelHold();
+        holdTimer = setTimeout(() => {
+            didLongPress = true;
+            onLongPress();
+        }, holdMs);
+    });
+    element.addEventListener('pointerup', cancelHold);
+    element.addEventListener('pointerleave', cancelHold);
+    element.addEventListener('pointercancel', cancelHold);
+    // Long presses open the context menu on some phones
+    element.addEventListener('contextmenu', (event) => event.preventDefault());
+    element.addEventListener('click', () => {
+        if (!didLongPress) onPress();
+        didLongPress = false;
+    });
+}
+
 export function showStatus(message, type = 'info') {
     const statusDiv = document.getElementById('status');
     statusDiv.textContent = message;
@@ -25,3 +54,16 @@ export function hideStatus() {
     const statusDiv = document.getElementById('status');
     statusDiv.classList.add('hidden');
 }
+
+export function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -35,6 +35,14 @@ export function bearingToCompassDirection(bearing) {
     return directions[index];
 }
 
+export function relativeDirection(bearing, heading) {
+    // Where a bearing lies relative to the way you're facing, in quarters centred on each direction
+    const directions = ['ahead', 'right', 'behind', 'left'];
+    const offset = (bearing - heading + 360) % 360;
+    const index = Math.round(offset / 90) % 4;
+    return directions[index];
+}
+
 export function formatDistance(meters) {
     // Format distance for speech
     if (meters < 1000) {
@@ -44,3 +52,87 @@ export function formatDistance(meters) {
     const km = (meters / 1000).toFixed(1);
     return `${km} kilometers`;
 }
+
+// Closest point on a polyline of {lat, lon} points.
+// Returns the distance to it, how far along the line it is, and the segment it falls on.
+// Uses a local flat projection, which is accurate enough over walking distances.
+export function projectOntoPolyline(lat, lon, line) {
+    if (!line || line.length === 0) return null;
+
+    if (line.length === 1) {
+        return { distance: calculateDistance(lat, lon, line[0].lat, line[0].lon), alongTrack: 0, segmentIndex: 0 };
+    }
+
+    const metersPerDegLat = 111320;
+    const metersPerDegLon = 111320 * Math.cos(lat * Math.PI / 180);
+    const toXY = (point) => ({
+        x: (point.lon - lon) * metersPerDegLon,
+        y: (point.lat - lat) * metersPerDegLat
+    });
+
+    let best = null;
+    let travelled = 0;
+
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = toXY(line[i]);
+        const b = toXY(line[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const segmentLength = Math.sqrt(lengthSquared);
+
+        // Position of the point along the segment, clamped to its ends (the point itself is the origin)
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+        const px = a.x + t * dx;
+        const py = a.y + t * dy;
+        const distance = Math.sqrt(px * px + py * py);
+
+        if (!best || distance < best.distance) {
+            best = { distance, alongTrack: travelled + t * segmentLength, segmentIndex: i };
+        }
+        travelled += segmentLength;
+    }
+
+    return best;
+}
+
+export function polylineLength(line) {
+    let total = 0;
+    for (let i = 1; i < line.length; i++) {
+        total += calculateDistance(line[i - 1].lat, line[i - 1].lon, line[i].lat, line[i].lon);
+    }
+    return total;
+}
+
+// Points spaced evenly along a polyline, including both ends
+export function samplePolyline(line, spacing) {
+    if (line.length === 0) return [];
+
+    const samples = [{ lat: line[0].lat, lon: line[0].lon }];
+    let sinceLastSample = 0;
+
+    for (let i = 1; i < line.length; i++) {
+        const from = line[i - 1];
+        const to = line[i];
+        const segmentLength = calculateDistance(from.lat, from.lon, to.lat, to.lon);
+        let position = spacing - sinceLastSample;
+
+        while (position <= segmentLength) {
+            const t = position / segmentLength;
+            samples.push({
+                lat: from.lat + (to.lat - from.lat) * t,
+                lon: from.lon + (to.lon - from.lon) * t
+            });
+            position += spacing;
+        }
+
+        sinceLastSample = segmentLength - (position - spacing);
+    }
+
+    const last = line[line.length - 1];
+    if (sinceLastSample > 0) {
+        samples.push({ lat: last.lat, lon: last.lon });
+    }
+
+    return samples;
+}
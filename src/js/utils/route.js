@@ -0,0 +1,79 @@
+// Plans a walking order through a set of places: a nearest-neighbour tour from the start,
+// then improved with 2-opt until no swap shortens it. The route is open: it starts at the
+// walker's position and ends at whichever place is last, without returning.
+import { calculateDistance } from './geo.js';
+
+const MAX_TWO_OPT_PASSES = 50;
+
+export function planRoute(start, places) {
+    if (places.length <= 1) return [...places];
+
+    const points = [start, ...places];
+    const distances = points.map((a) => points.map((b) => calculateDistance(a.lat, a.lon, b.lat, b.lon)));
+
+    const order = nearestNeighbourOrder(distances);
+    twoOpt(order, distances);
+
+    // order[0] is the start point
+    return order.slice(1).map((index) => places[index - 1]);
+}
+
+function nearestNeighbourOrder(distances) {
+    const order = [0];
+    const visited = new Set(order);
+
+    while (order.length < distances.length) {
+        const last = order[order.length - 1];
+        let nearest = -1;
+        for (let i = 1; i < distances.length; i++) {
+            if (!visited.has(i) && (nearest < 0 || distances[last][i] < distances[last][nearest])) {
+                nearest = i;
+            }
+        }
+        order.push(nearest);
+        visited.add(nearest);
+    }
+
+    return order;
+}
+
+function twoOpt(order, distances) {
+    const d = (a, b) => distances[order[a]][order[b]];
+    const last = order.length - 1;
+
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+        let improved = false;
+
+        // Reverse order[i..k]; the start at order[0] never moves
+        for (let i = 1; i < last; i++) {
+            for (let k = i + 1; k <= last; k++) {
+                const before = d(i - 1, i) + (k < last ? d(k, k + 1) : 0);
+                const after = d(i - 1, k) + (k < last ? d(i, k + 1) : 0);
+                if (after < before - 1e-6) {
+                    reverse(order, i, k);
+                    improved = true;
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+}
+
+function reverse(order, from, to) {
+    while (from < to) {
+        [order[from], order[to]] = [order[to], order[from]];
+        from++;
+        to--;
+    }
+}
+
+export function routeLength(start, places) {
+    let total = 0;
+    let previous = start;
+    places.forEach((place) => {
+        total += calculateDistance(previous.lat, previous.lon, place.lat, place.lon);
+        previous = place;
+    });
+    return total;
+}
@@ -0,0 +1,156 @@
+// Rewrites article text into something that sounds right when read aloud: no IPA, "(listen)",
+// coordinates or citation marks, fewer long asides, and abbreviations, units and dates spelled out.
+// Rules run in order and each can be turned off through SPEECH_TEXT_RULES in config.js.
+import { SPEECH_TEXT_RULES, SPEECH_MAX_ASIDE_WORDS } from '../config.js';
+
+// Editions written in scripts other than Latin keep their own script
+const NON_LATIN_LANGUAGES = ['ja', 'zh', 'ko', 'ru', 'uk', 'el', 'ar', 'he', 'hi'];
+// Abbreviations, units and dates are only rewritten in English for now
+const ENGLISH = 'en';
+
+const IPA_CHARS = /[ˈˌːəɪʊʃʒθðŋɑɒɔɛæʌɜɐɾʔ]/;
+// Greek, Cyrillic, Hebrew, Arabic, Devanagari, Thai, Georgian, kana, CJK and Hangul
+const NON_LATIN_RUN = /[\u0370-\u03ff\u0400-\u04ff\u0590-\u05ff\u0600-\u06ff\u0900-\u097f\u0e00-\u0e7f\u10a0-\u10ff\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]+/;
+// "(Welsh: Caerdydd)", "(Old English: Lundenwic)"
+const LANGUAGE_LABEL = /^[A-Za-z]+(?: [A-Za-z]+){0,2}:/;
+// Parentheticals that only give the same measurement in other units, e.g. "(330 ft)"
+const UNIT_CONVERSION = /^\s*(?:about |approx\. |c\. )?[\d.,]+(?:\s\d{3})*(?:\s?[–-]\s?[\d.,]+(?:\s\d{3})*)?\s?(?:ft|in|yd|mi|m|km|cm|mm|sq mi|sq ft|sq km|km2|km²|mi2|mi²|m2|m²|acres?|ha|lb|kg|t|mph|km\/h|°[CF]|miles?|feet|foot|yards?|inch(?:es)?|(?:kilo|centi)?met(?:re|er)s?)\.?\s*$/;
+const DEGREES = '\\d{1,3}(?:[.,]\\d+)?°(?:\\s?\\d{1,2}(?:[.,]\\d+)?[′\'])?(?:\\s?\\d{1,2}(?:[.,]\\d+)?[″"])?';
+const COORDINATE_PAIR = `(?:${DEGREES}\\s?[NS],?\\s*${DEGREES}\\s?[EW]|-?\\d{1,3}\\.\\d+;\\s*-?\\d{1,3}\\.\\d+)`;
+const COORDINATES = new RegExp(`(?:\\bCoordinates\\s*:\\s*)?${COORDINATE_PAIR}(?:\\s*\\/\\s*${COORDINATE_PAIR})*`, 'gi');
+// The "listen" link other editions put after the title, e.g. "( Écouter)"
+const LISTEN = /(?:^|\s)(?:listen|écouter|anhören|escuchar|ascolta|ouvir|luister)(?=[\s,]|$)/i;
+const ASIDE_OPENERS = /^(?:(?:also|formerly|originally|officially|locally|née|literally|from|meaning|abbreviated|or|sometimes|historically|known as|pronounced|listen)\b|lit\.)/i;
+
+const ABBREVIATIONS = [
+    // "Baker St." is a street, "St Paul's" and "Church of St. Mary" are saints
+    // The full stop stays when it could be ending the sentence
+    [/(\b[A-Z][a-z]+\s)St\.(?=\s+[a-z,])/g, '$1Street'],
+    [/(\b[A-Z][a-z]+\s)St\b(?!\.?\s+[A-Z])/g, '$1Street'],
+    [/\bSt\.?(?=\s+[A-Z])/g, 'Saint'],
+    [/\bMt\.?(?=\s+[A-Z])/g, 'Mount'],
+    [/\bFt\.?(?=\s+[A-Z])/g, 'Fort'],
+    [/\bDr\.(?=\s+[A-Z])/g, 'Doctor'],
+    [/\bRd\b\.?/g, 'Road'],
+    [/\bAve\b\.?/g, 'Avenue'],
+    [/\bNo\.\s?(?=\d)/g, 'Number '],
+    [/\bapprox\.\s?/g, 'approximately '],
+    [/\be\.g\.,?\s?/g, 'for example, '],
+    [/\bi\.e\.,?\s?/g, 'that is, '],
+    [/\betc\./g, 'et cetera'],
+    [/\bvs?\.\s/g, 'versus '],
+    [/\bJr\./g, 'Junior'],
+    [/\bSr\./g, 'Senior']
+];
+
+const UNITS = [
+    [/\b(\d[\d,.]*)\s?(?:km2|km²|sq km)\b/g, '$1 square kilometres'],
+    [/\b(\d[\d,.]*)\s?(?:mi2|mi²|sq mi)\b/g, '$1 square miles'],
+    [/\b(\d[\d,.]*)\s?(?:m2|m²)(?!\w)/g, '$1 square metres'],
+    [/\b(\d[\d,.]*)\s?(?:sq ft|ft2|ft²)\b/g, '$1 square feet'],
+    [/\b(\d[\d,.]*)\s?km\/h\b/g, '$1 kilometres per hour'],
+    [/\b(\d[\d,.]*)\s?mph\b/g, '$1 miles per hour'],
+    [/\b(\d[\d,.]*)\s?km\b/g, '$1 kilometres'],
+    [/\b(\d[\d,.]*)\s?cm\b/g, '$1 centimetres'],
+    [/\b(\d[\d,.]*)\s?mm\b/g, '$1 millimetres'],
+    [/\b(\d[\d,.]*)\s?m\b(?![²2])/g, '$1 metres'],
+    [/\b(\d[\d,.]*)\s?ft\b\.?/g, '$1 feet'],
+    [/\b(\d[\d,.]*)\s?mi\b/g, '$1 miles'],
+    [/\b(\d[\d,.]*)\s?ha\b/g, '$1 hectares'],
+    [/\b(\d[\d,.]*)\s?kg\b/g, '$1 kilograms'],
+    [/(\d)\s?°C\b/g, '$1 degrees Celsius'],
+    [/(\d)\s?°F\b/g, '$1 degrees Fahrenheit']
+];
+
+const DATES = [
+    [/\bc\.\s?(?=\d)/g, 'circa '],
+    [/\bca\.\s?(?=\d)/g, 'circa '],
+    [/\bfl\.\s?(?=\d)/g, 'flourished '],
+    [/\bb\.\s?(?=\d)/g, 'born '],
+    [/\bd\.\s?(?=\d)/g, 'died '],
+    // "1850–1920" and "10–20" ranges, but not dates like 2020-05-12
+    [/(?<![\d-])(\d{1,4})\s?[–—-]\s?(\d{1,4})\b(?!-)/g, '$1 to $2']
+];
+
+const RULES = {
+    // Citation marks like [1] or [citation needed], which are never worth reading
+    citations: (text) => text.replace(/\[(?:\d+|[a-z ]*needed|note \d+|[a-z])\]/gi, ''),
+
+    // Drop brackets holding IPA, "listen", unit conversions, name lists and long asides
+    parentheticals: (text, { lang }) => replaceParentheticals(text, (inner) => {
+        const content = inner.trim();
+        if (!content) return '';
+        if (IPA_CHARS.test(content) || /\/[^/]+\//.test(content)) return '';
+        if (LISTEN.test(content) || /\bpronounced\b|\bpronunciation\b|ⓘ/i.test(content)) return '';
+        if (UNIT_CONVERSION.test(content)) return '';
+        if (!NON_LATIN_LANGUAGES.includes(lang) && NON_LATIN_RUN.test(content)) return '';
+        if (LANGUAGE_LABEL.test(content) || ASIDE_OPENERS.test(content) || content.includes(';')) return '';
+        if (content.split(/\s+/).length > SPEECH_MAX_ASIDE_WORDS) return '';
+        return `(${content})`;
+    }),
+
+    // "51°30′26″N 0°7′39″W / 51.5074°N 0.1278°W / 51.507; -0.128", with any "Coordinates:" label
+    coordinates: (text) => text.replace(COORDINATES, ''),
+
+    abbreviations: (text, { lang }) => lang === ENGLISH ? applyAll(text, ABBREVIATIONS) : text,
+    units: (text, { lang }) => lang === ENGLISH ? applyAll(text, UNITS) : text,
+    dates: (text, { lang }) => lang === ENGLISH ? applyAll(text, DATES) : text,
+
+    // Names in other scripts outside brackets, e.g. a Greek or Chinese original after the English
+    scripts: (text, { lang }) => NON_LATIN_LANGUAGES.includes(lang) ? text :
+        text.replace(new RegExp(`,?\\s*${NON_LATIN_RUN.source}(?:[\\s,]*${NON_LATIN_RUN.source})*`, 'g'), '')
+};
+
+export function prepareSpeechText(text, { lang = ENGLISH, rules = SPEECH_TEXT_RULES } = {}) {
+    const cleaned = rules.reduce((current, name) => {
+        const rule = RULES[name];
+        if (!rule) {
+            console.warn('speechText: unknown rule', name);
+            return current;
+        }
+        return rule(current, { lang });
+    }, text);
+
+    return tidy(cleaned);
+}
+
+// Calls replace with the contents of each innermost (...) group, working outwards
+function replaceParentheticals(text, replace) {
+    let previous;
+    let current = text;
+    const placeholders = [];
+    do {
+        previous = current;
+        current = current.replace(/\(([^()]*)\)/g, (match, inner) => {
+            const kept = replace(inner);
+            if (!kept) return '';
+            // Kept groups are hidden from the next pass so their parent isn't judged on them twice
+            placeholders.push(kept);
+            return `\u0000${placeholders.length - 1}\u0000`;
+        });
+    } while (current !== previous);
+
+    let restored = current;
+    while (/\u0000\d+\u0000/.test(restored)) {
+        restored = restored.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+    }
+    return restored;
+}
+
+function applyAll(text, replacements) {
+    return replacements.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), text);
+}
+
+// Whatever removal left behind: doubled spaces, spaces before punctuation, empty or stray commas.
+// Line breaks are kept because they mark paragraphs.
+function tidy(text) {
+    return text
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\(\s*[,;]?\s*\)/g, '')
+        .replace(/ +([,.;:!?])/g, '$1')
+        .replace(/,\s*([.;:!?])/g, '$1')
+        .replace(/([,;])(?:\s*[,;])+/g, '$1')
+        .replace(/ *\n */g, '\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
@@ -0,0 +1,57 @@
+// Groups places that are really one stop on the walk: articles at the same spot (a museum, its
+// building and its collection), or nearby ones whose titles contain each other (a square and the
+// statue named after it). Each stop is its primary place, with the rest attached as `alsoHere`
+// and pointing back to it through `stopKey`.
+import { calculateDistance } from './geo.js';
+
+// Shorter titles than this ("Inn", "Bank") match too much to link anything
+const MIN_LINKED_TITLE_LENGTH = 4;
+
+export function groupIntoStops(places, { sameSpotMeters, linkedTitleMeters }) {
+    const groups = [];
+
+    places.forEach((place) => {
+        const group = groups.find((members) => members.some((other) =>
+            belongTogether(place, other, sameSpotMeters, linkedTitleMeters)
+        ));
+        if (group) {
+            group.push(place);
+        } else {
+            groups.push([place]);
+        }
+    });
+
+    return groups.map(toStop);
+}
+
+function belongTogether(a, b, sameSpotMeters, linkedTitleMeters) {
+    const distance = calculateDistance(a.lat, a.lon, b.lat, b.lon);
+    return distance <= sameSpotMeters || (distance <= linkedTitleMeters && titlesLinked(a.title, b.title));
+}
+
+// "British Museum" and "Collection of the British Museum", ignoring disambiguation like "(London)"
+function titlesLinked(a, b) {
+    const [shorter, longer] = [baseTitle(a), baseTitle(b)].sort((x, y) => x.length - y.length);
+    return shorter.length >= MIN_LINKED_TITLE_LENGTH && longer.includes(shorter);
+}
+
+function baseTitle(title) {
+    return title.replace(/\s*\([^)]*\)$/, '').trim().toLowerCase();
+}
+
+// The primary place is the one the others are named after, or else the first (nearest or best ranked)
+function toStop(members) {
+    if (members.length === 1) return members[0];
+
+    const namedAfter = (place) => members.filter((other) =>
+        other !== place && baseTitle(other.title).includes(baseTitle(place.title))
+    ).length;
+    const primary = members.reduce((best, place) => namedAfter(place) > namedAfter(best) ? place : best);
+
+    return {
+        ...primary,
+        alsoHere: members
+            .filter((place) => place !== primary)
+            .map((place) => ({ ...place, stopKey: primary.key }))
+    };
+}
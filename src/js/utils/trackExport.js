@@ -0,0 +1,111 @@
+// Serialises a recorded tour (track points plus narrated waypoints) as GPX, GeoJSON or KML
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function isoTime(time) {
+    return new Date(time).toISOString();
+}
+
+function tourName(recording) {
+    const started = recording.startedAt ? new Date(recording.startedAt) : new Date();
+    return `Walking Tour ${started.toLocaleDateString()}`;
+}
+
+export function toGpx(recording) {
+    const waypoints = recording.waypoints.map((waypoint) =>
+        `  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">\n` +
+        `    <time>${isoTime(waypoint.time)}</time>\n` +
+        `    <name>${escapeXml(waypoint.title)}</name>\n` +
+        `    <desc>${escapeXml(`Narrated at ${new Date(waypoint.time).toLocaleTimeString()}`)}</desc>\n` +
+        `    <link href="${escapeXml(waypoint.url)}"><text>Wikipedia</text></link>\n` +
+        `  </wpt>\n`
+    ).join('');
+
+    const points = recording.points.map((point) =>
+        `      <trkpt lat="${point.lat}" lon="${point.lon}">` +
+        (point.ele !== null ? `<ele>${point.ele}</ele>` : '') +
+        `<time>${isoTime(point.time)}</time></trkpt>\n`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Walking Tour" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `  <metadata><name>${escapeXml(tourName(recording))}</name>` +
+        (recording.startedAt ? `<time>${isoTime(recording.startedAt)}</time>` : '') +
+        '</metadata>\n' +
+        waypoints +
+        `  <trk>\n    <name>${escapeXml(tourName(recording))}</name>\n    <trkseg>\n` +
+        points +
+        '    </trkseg>\n  </trk>\n' +
+        '</gpx>\n';
+}
+
+export function toGeoJson(recording) {
+    const features = [];
+
+    if (recording.points.length > 0) {
+        features.push({
+            type: 'Feature',
+            properties: {
+                name: tourName(recording),
+                coordTimes: recording.points.map((point) => isoTime(point.time))
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: recording.points.map((point) =>
+                    point.ele !== null ? [point.lon, point.lat, point.ele] : [point.lon, point.lat]
+                )
+            }
+        });
+    }
+
+    recording.waypoints.forEach((waypoint) => {
+        features.push({
+            type: 'Feature',
+            properties: {
+                name: waypoint.title,
+                url: waypoint.url,
+                time: isoTime(waypoint.time)
+            },
+            geometry: { type: 'Point', coordinates: [waypoint.lon, waypoint.lat] }
+        });
+    });
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+export function toKml(recording) {
+    const placemarks = recording.waypoints.map((waypoint) =>
+        '    <Placemark>\n' +
+        `      <name>${escapeXml(waypoint.title)}</name>\n` +
+        `      <description>${escapeXml(`Narrated at ${new Date(waypoint.time).toLocaleTimeString()} – ${waypoint.url}`)}</description>\n` +
+        `      <TimeStamp><when>${isoTime(waypoint.time)}</when></TimeStamp>\n` +
+        `      <Point><coordinates>${waypoint.lon},${waypoint.lat}</coordinates></Point>\n` +
+        '    </Placemark>\n'
+    ).join('');
+
+    const track = recording.points.length === 0 ? '' :
+        '    <Placemark>\n' +
+        `      <name>${escapeXml(tourName(recording))}</name>\n` +
+        '      <LineString><tessellate>1</tessellate><coordinates>\n' +
+        recording.points.map((point) =>
+            `        ${point.lon},${point.lat}${point.ele !== null ? `,${point.ele}` : ''}\n`
+        ).join('') +
+        '      </coordinates></LineString>\n' +
+        '    </Placemark>\n';
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+        '  <Document>\n' +
+        `    <name>${escapeXml(tourName(recording))}</name>\n` +
+        track +
+        placemarks +
+        '  </Document>\n' +
+        '</kml>\n';
+}
@@ -0,0 +1,103 @@
+// Parses GPX, GeoJSON and plain JSON point lists into a flat list of {lat, lon, time} points.
+// `time` is a millisecond timestamp when the file has one, otherwise null.
+
+export function parseTrack(text, fileName = '') {
+    const trimmed = text.trim();
+    const looksLikeJson = trimmed.startsWith('{') || trimmed.startsWith('[') || /\.(geo)?json$/i.test(fileName);
+    let points;
+    if (looksLikeJson) {
+        const json = JSON.parse(trimmed);
+        points = Array.isArray(json) ? parsePointList(json) : parseGeoJson(json);
+    } else {
+        points = parseGpx(trimmed);
+    }
+
+    if (points.length < 2) {
+        throw new Error('The file does not contain a line with at least two points');
+    }
+    return points;
+}
+
+function parseGpx(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid GPX');
+    }
+
+    // Recorded tracks first, then planned routes
+    let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+    if (nodes.length === 0) {
+        nodes = Array.from(doc.getElementsByTagName('rtept'));
+    }
+
+    return nodes.map((node) => {
+        const timeNode = node.getElementsByTagName('time')[0];
+        const time = timeNode ? Date.parse(timeNode.textContent) : NaN;
+        return {
+            lat: Number(node.getAttribute('lat')),
+            lon: Number(node.getAttribute('lon')),
+            time: Number.isNaN(time) ? null : time
+        };
+    }).filter(isValidPoint);
+}
+
+function parseGeoJson(json) {
+    const lines = [];
+    collectLines(json, lines);
+
+    return lines.flatMap(({ coordinates, times }) => coordinates.map(([lon, lat], index) => ({
+        lat,
+        lon,
+        time: times && times[index] ? Date.parse(times[index]) || null : null
+    }))).filter(isValidPoint);
+}
+
+// A bare array of points, either [lon, lat] pairs like GeoJSON or objects such as
+// {lat, lon, time} / {latitude, longitude, timestamp}. Exported recordings are read back too.
+function parsePointList(list) {
+    return list.map((item) => {
+        if (Array.isArray(item)) {
+            return { lat: item[1], lon: item[0], time: null };
+        }
+        const time = item.time ?? item.timestamp ?? null;
+        return {
+            lat: Number(item.lat ?? item.latitude),
+            lon: Number(item.lon ?? item.lng ?? item.longitude),
+            time: time === null ? null : (typeof time === 'number' ? time : Date.parse(time) || null)
+        };
+    }).filter(isValidPoint);
+}
+
+// Walks any GeoJSON object and gathers its line geometries in order.
+// Per-point times are read from the common `coordTimes` / `times` feature properties.
+function collectLines(node, lines, properties = {}) {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+        case 'FeatureCollection':
+            node.features.forEach((feature) => collectLines(feature, lines));
+            break;
+        case 'Feature':
+            collectLines(node.geometry, lines, node.properties || {});
+            break;
+        case 'GeometryCollection':
+            node.geometries.forEach((geometry) => collectLines(geometry, lines, properties));
+            break;
+        case 'LineString':
+            lines.push({ coordinates: node.coordinates, times: properties.coordTimes || properties.times });
+            break;
+        case 'MultiLineString':
+            node.coordinates.forEach((coordinates, index) => {
+                const times = properties.coordTimes || properties.times;
+                lines.push({ coordinates, times: Array.isArray(times) ? times[index] : null });
+            });
+            break;
+        default:
+            break;
+    }
+}
+
+function isValidPoint(point) {
+    return Number.isFinite(point.lat) && Number.isFinite(point.lon) &&
+        Math.abs(point.lat) <= 90 && Math.abs(point.lon) <= 180;
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { prepareSpeechText } from '../src/js/utils/speechText.js';
+import extracts from './fixtures/wikipediaExtracts.json';
+
+// Leads of real articles, as the extracts API returns them in plain text, with what should be read aloud
+describe('prepareSpeechText on Wikipedia extracts', () => {
+    it.each(extracts)('$title ($lang)', ({ extract, lang, spoken }) => {
+        expect(prepareSpeechText(extract, { lang })).toBe(spoken);
+    });
+});
+
+describe('prepareSpeechText rules', () => {
+    it('drops IPA and respellings but keeps short asides', () => {
+        const text = 'Leicester Square ( LES-tər) was laid out on the site (then known as Leicester Fields) in 1670.';
+        expect(prepareSpeechText(text)).toBe('Leicester Square was laid out on the site (then known as Leicester Fields) in 1670.');
+    });
+
+    it('drops unit conversions in abbreviated or spelled-out units', () => {
+        expect(prepareSpeechText('It stands 316 feet (96 m) tall and runs 739 km (459 miles).'))
+            .toBe('It stands 316 feet tall and runs 739 kilometres.');
+    });
+
+    it('tells streets from saints', () => {
+        expect(prepareSpeechText('From Baker St. walk to St Paul\'s and then Church St by St. Mary\'s.'))
+            .toBe('From Baker Street walk to Saint Paul\'s and then Church Street by Saint Mary\'s.');
+    });
+
+    it('spells out dates only in English', () => {
+        expect(prepareSpeechText('Built c. 1343 and rebuilt 1850–1920.')).toBe('Built circa 1343 and rebuilt 1850 to 1920.');
+        expect(prepareSpeechText('Construite c. 1343.', { lang: 'fr' })).toBe('Construite c. 1343.');
+    });
+
+    it('keeps text in the edition\'s own script', () => {
+        const text = 'Tokyo Tower (東京タワー) is in Minato.';
+        expect(prepareSpeechText(text)).toBe('Tokyo Tower is in Minato.');
+        expect(prepareSpeechText('東京タワーは港区にある。', { lang: 'ja' })).toBe('東京タワーは港区にある。');
+    });
+
+    it('only runs the rules it is given', () => {
+        expect(prepareSpeechText('Mt. Hood (3,429 m)', { rules: ['abbreviations'] })).toBe('Mount Hood (3,429 m)');
+    });
+});
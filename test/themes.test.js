@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { themesForClasses, isExcluded } from '../src/js/services/themes.js';
+
+const settings = { favour: [], exclude: ['transport', 'administrative'] };
+
+describe('themesForClasses', () => {
+    it('puts a place in every theme its Wikidata classes belong to', () => {
+        expect(themesForClasses(['Q23413'])).toEqual(['history', 'architecture']); // castle
+        expect(themesForClasses(['Q55488'])).toEqual(['transport']); // railway station
+        expect(themesForClasses([])).toEqual([]);
+    });
+});
+
+describe('isExcluded', () => {
+    it('leaves out stations and wards but keeps anything also worth hearing about', () => {
+        expect(isExcluded({ themes: themesForClasses(['Q55488']) }, settings)).toBe(true);
+        expect(isExcluded({ themes: themesForClasses(['Q55488', 'Q35112127']) }, settings)).toBe(false); // historic station
+        expect(isExcluded({ themes: [] }, settings)).toBe(false);
+    });
+});
@@ -0,0 +1,161 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import TourPlayer from '../src/js/player/TourPlayer.js';
+import { createFakeSpeechEngine } from '../src/js/player/speechEngines.js';
+import { registerContentProvider } from '../src/js/services/contentProviders.js';
+import { clearHistory, hasHeard } from '../src/js/services/listeningHistory.js';
+import { getSetting } from '../src/js/services/settingsStore.js';
+import { SPEECH_MONITOR_INTERVAL_MS } from '../src/js/config.js';
+
+// Places carry their own narration, so nothing is fetched
+registerContentProvider({
+    id: 'test',
+    name: 'Test',
+    fetchNearby: async () => [],
+    fetchNarration: async (place) => place.text,
+    fetchSnippet: async (place) => place.text,
+    fetchImages: async () => new Map()
+});
+
+// Long enough to be read in several chunks, with sentences that can be told apart
+const LONG_TEXT = Array.from({ length: 80 }, (_, i) => `Sentence number ${i + 1} is about the old town.`).join(' ');
+
+const place = (id, text) => ({ key: `test:${id}`, provider: 'test', title: `Place ${id}`, text });
+
+let engine;
+let player;
+let pageHidden;
+
+// Lets the player's timers and the engine's events run
+const wait = (ms) => vi.advanceTimersByTimeAsync(ms);
+
+async function startTour(places) {
+    player.loadQueue(places);
+    player.play();
+    await wait(500);
+}
+
+// Ends every chunk of the article being read, one after the other
+async function finishArticle() {
+    const chunks = player.speechChunks.length;
+    for (let i = player.chunkIndex; i < chunks; i++) {
+        engine.finish();
+        await wait(10);
+    }
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    pageHidden = false;
+    vi.spyOn(document, 'hidden', 'get').mockImplementation(() => pageHidden);
+    clearHistory();
+
+    engine = createFakeSpeechEngine();
+    player = new TourPlayer({ speechEngine: engine });
+    player.factIntro = false;
+});
+
+afterEach(async () => {
+    player.stop();
+    await wait(10);
+    vi.clearAllTimers();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+describe('TourPlayer with the fake speech engine', () => {
+    it('reads every chunk of a long article, then moves on to the next one', async () => {
+        await startTour([place(1, LONG_TEXT), place(2, 'A short one.')]);
+
+        const chunks = [...player.speechChunks];
+        expect(chunks.length).toBeGreaterThan(1);
+        await finishArticle();
+        expect(engine.spoken).toEqual(chunks);
+        expect(hasHeard('test:1')).toBe(true);
+
+        await wait(getSetting('articlePauseMs') + 500);
+        expect(player.currentIndex).toBe(1);
+        expect(engine.spoken.at(-1)).toBe('Place 2. A short one.');
+    });
+
+    it('skips ahead to the next article when speech fails', async () => {
+        const onError = vi.fn();
+        player.onError = onError;
+        await startTour([place(1, LONG_TEXT), place(2, 'A short one.')]);
+
+        engine.fail();
+        await wait(getSetting('articlePauseMs') + 500);
+
+        expect(onError).toHaveBeenCalledWith('synthesis-failed');
+        expect(player.currentIndex).toBe(1);
+        expect(engine.spoken.at(-1)).toBe('Place 2. A short one.');
+        expect(hasHeard('test:1')).toBe(false);
+    });
+
+    it('holds its place when another app takes the audio, and picks up when the page is shown', async () => {
+        await startTour([place(1, LONG_TEXT)]);
+
+        pageHidden = true;
+        engine.fail('interrupted');
+        await wait(10);
+        expect(player.isPaused).toBe(true);
+        expect(player.pausedByInterruption).toBe(true);
+
+        pageHidden = false;
+        document.dispatchEvent(new Event('visibilitychange'));
+        await wait(10);
+        expect(player.isPlaying).toBe(true);
+        expect(engine.spoken).toHaveLength(2);
+    });
+
+    describe('when speech stalls without an event', () => {
+        // Speaks a few sentences into the first chunk, then the speech stops dead
+        async function stallAtThirdSentence() {
+            const chunk = player.speechChunks[0];
+            engine.boundary(chunk.indexOf('Sentence number 3'));
+            engine.stall();
+            await wait(SPEECH_MONITOR_INTERVAL_MS + 10);
+        }
+
+        it('pauses behind the lock screen and resumes from the sentence when the page is shown', async () => {
+            await startTour([place(1, LONG_TEXT), place(2, 'A short one.')]);
+
+            pageHidden = true;
+            await stallAtThirdSentence();
+            expect(player.isPaused).toBe(true);
+            expect(player.pausedByInterruption).toBe(true);
+            expect(player.resumePoint).toEqual({ chunkIndex: 0, charOffset: player.speechChunks[0].indexOf('Sentence number 3') });
+
+            pageHidden = false;
+            document.dispatchEvent(new Event('visibilitychange'));
+            await wait(10);
+            expect(player.isPlaying).toBe(true);
+            expect(engine.spoken.at(-1)).toMatch(/^Sentence number 3 /);
+            expect(player.currentIndex).toBe(0);
+        });
+
+        it('retries straight away on a visible page', async () => {
+            await startTour([place(1, LONG_TEXT), place(2, 'A short one.')]);
+
+            await stallAtThirdSentence();
+            expect(player.isPlaying).toBe(true);
+            expect(player.isPaused).toBe(false);
+            expect(engine.spoken.at(-1)).toMatch(/^Sentence number 3 /);
+        });
+
+        it('moves on without counting the article as heard if the retry stalls too', async () => {
+            await startTour([place(1, LONG_TEXT), place(2, 'A short one.')]);
+
+            await stallAtThirdSentence();
+            engine.stall();
+            await wait(SPEECH_MONITOR_INTERVAL_MS + getSetting('articlePauseMs') + 500);
+
+            expect(player.currentIndex).toBe(1);
+            expect(engine.spoken.at(-1)).toBe('Place 2. A short one.');
+            expect(hasHeard('test:1')).toBe(false);
+        });
+    });
+});